@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+import fs from 'fs-extra';
+import { parseArgs } from 'util';
+import { TABLE_FORMATS, formatTable, resultTable } from '../lib/table.js';
+
+// Command line access to the search core (lib/core.js) for scripts and data
+// pipelines: no server involved, matrices are read from (and built into) the
+// same cache directory. Results go to stdout or --output as JSON, CSV or TSV;
+// progress logs go to stderr.
+
+const USAGE = `usage: functional-translation <command> [options]
+
+commands:
+  build-cache                 build (or load) the vocab matrix of a model / template
+  search    --target WORD     translate one target with the seed pairs
+  batch     --targets-file F  translate many targets with the same seed pairs
+  neighbors WORD...           nearest vocab words of each word, without a relation
+
+seed pairs (search, batch):
+  --pair "a,b[,weight]"       repeatable; also "a -> b" or tab separated
+  --pairs-file FILE           one pair per line, same syntax ("-" for stdin)
+
+words (batch, neighbors):
+  WORD...                     positional words or phrases
+  --targets / --words LIST    comma separated
+  --targets-file / --words-file FILE   one per line ("-" for stdin)
+
+options:
+  --model ID                  model (default MODEL_ID)
+  --template T                context template (default "{w}")
+  --k N                       neighbors per word
+  --aggregation A             mean | median | trimmed | principal
+  --scoring S                 3cosadd | 3cosmul | pairdirection
+  --strength A                relation strength α (search, batch; 3cosadd only);
+                              negative values as --strength=-1
+  --search MODE               auto | exact | ann
+  --pos LIST                  keep neighbors with one of these POS tags
+  --keep-inputs               do not exclude seed and target words
+  --diagnostics               add seed pair diagnostics (search, JSON only)
+  --format F                  json (default) | csv | tsv
+  --output FILE               write to FILE instead of stdout
+  --cache-dir DIR             cache directory (CACHE_DIR)
+  --vocab FILE                vocabulary file (VOCAB_PATH)
+  --workers N                 worker threads (WORKERS; default 0 = in-process)
+`;
+
+const OPTIONS = {
+  pair: { type: 'string', multiple: true },
+  'pairs-file': { type: 'string' },
+  target: { type: 'string' },
+  targets: { type: 'string' },
+  'targets-file': { type: 'string' },
+  words: { type: 'string' },
+  'words-file': { type: 'string' },
+  model: { type: 'string' },
+  template: { type: 'string' },
+  k: { type: 'string' },
+  aggregation: { type: 'string' },
+  scoring: { type: 'string' },
+  strength: { type: 'string' },
+  search: { type: 'string' },
+  pos: { type: 'string' },
+  'keep-inputs': { type: 'boolean' },
+  diagnostics: { type: 'boolean' },
+  format: { type: 'string' },
+  output: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  vocab: { type: 'string' },
+  workers: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const FORMATS = ['json', ...TABLE_FORMATS];
+
+class UsageError extends Error {}
+
+// --- Input ---
+async function readLines(file) {
+  const raw = file === '-' ? await readStdin() : await fs.readFile(file, 'utf8');
+  return raw.split(/\r?\n/).map(s => s.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+// same syntax as the pairs box of the UI: "a,b", "a -> b" or "a<TAB>b", with
+// an optional weight as third value
+function parsePair(line) {
+  const parts = line.split(/\s*(?:→|->|=>|,|\t)\s*/).map(p => p.trim().replace(/\s+/g, ' '));
+  if (!parts[0] || !parts[1]) throw new UsageError(`invalid pair "${line}" (expected "a,b")`);
+  if (parts[2] === undefined) return [parts[0], parts[1]];
+  const weight = Number(parts[2]);
+  if (!Number.isFinite(weight)) throw new UsageError(`invalid weight in pair "${line}"`);
+  return [parts[0], parts[1], weight];
+}
+
+async function readPairs(values) {
+  const lines = [...(values.pair || [])];
+  if (values['pairs-file']) lines.push(...await readLines(values['pairs-file']));
+  if (!lines.length) throw new UsageError('no seed pairs: pass --pair or --pairs-file');
+  return lines.map(parsePair);
+}
+
+async function readWords(values, positionals, name) {
+  const words = [...positionals];
+  if (values[name]) words.push(...values[name].split(','));
+  if (values[`${name}-file`]) words.push(...await readLines(values[`${name}-file`]));
+  return words.map(w => w.trim()).filter(Boolean);
+}
+
+function readInt(value, name) {
+  if (value === undefined) return undefined;
+  const x = Number(value);
+  if (!Number.isInteger(x) || x < 1) throw new UsageError(`--${name} must be a positive integer`);
+  return x;
+}
+
+// request fields shared by the query commands
+function queryOptions(values) {
+  const body = {
+    contextTemplate: values.template ?? '{w}',
+    model: values.model,
+    excludeInputs: !values['keep-inputs'],
+    search: values.search
+  };
+  if (values.k !== undefined) body.k = readInt(values.k, 'k');
+  if (values.aggregation || values.scoring) body.method = { aggregation: values.aggregation, scoring: values.scoring };
+  if (values.strength !== undefined) {
+    body.strength = Number(values.strength);
+    if (values.strength.trim() === '' || !Number.isFinite(body.strength)) throw new UsageError('--strength must be a number');
+  }
+  if (values.pos) body.filters = { pos: { include: values.pos.split(',') } };
+  return body;
+}
+
+// --- Commands ---
+// `read` turns the arguments into a core request (before anything is loaded),
+// `run` returns { json, table }: the JSON document and its flat table
+const commands = {
+  'build-cache': {
+    read: (values) => ({ contextTemplate: values.template ?? '{w}', model: values.model }),
+    async run(core, body) {
+      const built = await core.rebuild(body);
+      const row = { signature: built.signature, model: built.model, contextTemplate: built.contextTemplate, vocabSize: built.vocabSize, dim: built.dim };
+      return { json: built, table: { rows: [row], columns: Object.keys(row) } };
+    }
+  },
+
+  search: {
+    async read(values, positionals) {
+      const target = values.target ?? positionals[0];
+      if (!target) throw new UsageError('search needs --target');
+      return { ...queryOptions(values), pairs: await readPairs(values), target, diagnostics: !!values.diagnostics };
+    },
+    async run(core, body) {
+      const result = await core.search(body);
+      const neighbors = result.neighbors.map((n, i) => ({ rank: i + 1, ...n }));
+      return {
+        json: { target: body.target, neighbors, diagnostics: result.diagnostics ?? undefined, meta: result.meta },
+        table: resultTable('search', result)
+      };
+    }
+  },
+
+  batch: {
+    async read(values, positionals) {
+      const targets = await readWords(values, positionals, 'targets');
+      if (!targets.length) throw new UsageError('batch needs targets: positional words, --targets or --targets-file');
+      return { ...queryOptions(values), pairs: await readPairs(values), targets };
+    },
+    async run(core, body) {
+      const result = await core.batch(body);
+      return { json: { results: result.results, meta: result.meta }, table: resultTable('batch', result) };
+    }
+  },
+
+  neighbors: {
+    async read(values, positionals) {
+      const words = await readWords(values, positionals, 'words');
+      if (!words.length) throw new UsageError('neighbors needs words: positional words, --words or --words-file');
+      return { ...queryOptions(values), words };
+    },
+    async run(core, body) {
+      const result = await core.neighbors(body);
+      return { json: { results: result.results, meta: result.meta }, table: resultTable('neighbors', result) };
+    }
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals: [command, ...positionals] } = parsed;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!commands[command]) throw new UsageError(`unknown command "${command}"`);
+  const body = await commands[command].read(values, positionals);
+  const format = values.format ?? 'json';
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+
+  // the core reads its configuration when first imported
+  if (values['cache-dir']) process.env.CACHE_DIR = values['cache-dir'];
+  if (values.vocab) process.env.VOCAB_PATH = values.vocab;
+  if (values.workers !== undefined) {
+    if (!/^\d+$/.test(values.workers)) throw new UsageError('--workers must be a non-negative integer');
+    process.env.WORKERS = values.workers;
+  }
+  process.env.WORKERS ??= '0'; // one-off runs: loading the model once beats a pool of copies
+  process.env.ANN_INDEX ??= 'off'; // a background index build would keep the process alive; saved indexes still load
+  const core = await import('../lib/core.js');
+
+  try {
+    await core.init();
+    if (command !== 'build-cache') {
+      // loads the vocab, and the matrix from the cache or by building it
+      await core.rebuild({ contextTemplate: body.contextTemplate, model: body.model });
+    }
+    const { json, table } = await commands[command].run(core, body);
+    const text = format === 'json' ? JSON.stringify(json, null, 2) + '\n' : formatTable(table, format);
+    if (values.output) await fs.writeFile(values.output, text);
+    else process.stdout.write(text);
+  } catch (e) {
+    if (e instanceof core.BadRequestError) throw new UsageError(e.message);
+    throw e;
+  } finally {
+    await core.close();
+  }
+}
+
+// stdout carries the results, so the core's progress logs go to stderr
+console.log = console.error;
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e instanceof UsageError ? `error: ${e.message}\nrun with --help for usage` : e);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,78 @@
+import { ScoreHeap } from './heap.js';
+import { createMatrix } from './matrix.js';
+
+// Full-matrix analogy scans over a matrix store (see matrix.js). Pure functions
+// of the store and plain vectors, so they run unchanged in a worker thread.
+
+export const SCORINGS = ['3cosadd', '3cosmul', 'pairdirection'];
+
+// score every row for the analogy `a : b :: target : ?`
+//   3cosadd        cos(x, target + relation)
+//   3cosmul        cos'(x, B) · cos'(x, target) / (cos'(x, A) + ε) with cos' = (cos + 1) / 2
+//                  and A, B the unit weighted centroids of the seed sides
+//   pairdirection  cos(x − target, relation)
+// `target` is the unit target vector, `tRel` its dot with `relation` and
+// `relNorm` the relation's length
+export function analogyScores(store, scoring, { translated, target, relation, relNorm, tRel, A, B }) {
+  if (scoring === '3cosmul' && A && B) {
+    const simA = store.scores(A);
+    const simB = store.scores(B);
+    const simT = store.scores(target);
+    const eps = 1e-3;
+    const sims = simA;
+    for (let i = 0; i < sims.length; i++) {
+      sims[i] = ((simB[i] + 1) / 2) * ((simT[i] + 1) / 2) / ((simA[i] + 1) / 2 + eps);
+    }
+    return sims;
+  }
+  if (scoring === 'pairdirection') {
+    const simT = store.scores(target);
+    const simR = store.scores(relation);
+    const sims = simT;
+    for (let i = 0; i < sims.length; i++) {
+      const dist = Math.sqrt(Math.max(2 - 2 * simT[i], 0));
+      sims[i] = dist > 1e-6 ? (simR[i] - tRel) / (dist * relNorm) : 0;
+    }
+    return sims;
+  }
+  return store.scores(translated);
+}
+
+// top `k` rows as { id, score } best first, skipping the `exclude` row ids,
+// rows whose `allow` flag is 0 and scores below `minScore`, plus the rank and
+// score of each row in `rankOf` among the allowed, non-excluded rows. Unit
+// vectors in `rankVectors` (e.g. an out-of-vocabulary word) are scored and
+// ranked the same way, as if they were extra rows; `ranks` and `scores` list
+// the `rankOf` rows first, then the `rankVectors`.
+export function scanAnalogy(store, { scoring = '3cosadd', vectors, k = 0, exclude = [], rankOf = [], rankVectors = [], allow = null, minScore = -Infinity }) {
+  const sims = analogyScores(store, scoring, vectors);
+  const excluded = new Set(exclude);
+
+  // bounded min-heap keeps the k best without sorting every row
+  const heap = new ScoreHeap();
+  if (k > 0) {
+    for (let i = 0; i < sims.length; i++) {
+      if (sims[i] < minScore) continue;
+      if (heap.size >= k && sims[i] <= heap.peekScore()) continue;
+      if (excluded.has(i) || (allow && !allow[i])) continue;
+      heap.push(i, sims[i]);
+      if (heap.size > k) heap.pop();
+    }
+  }
+
+  let scores = rankOf.map(i => sims[i]);
+  if (rankVectors.length) {
+    const extra = new Float32Array(rankVectors.length * store.dim);
+    rankVectors.forEach((v, i) => extra.set(v, i * store.dim));
+    const extraStore = createMatrix({ dtype: 'float32', n: rankVectors.length, dim: store.dim, data: extra, scales: null });
+    scores = [...scores, ...analogyScores(extraStore, scoring, vectors)];
+  }
+  const ranks = scores.map(() => 1);
+  if (scores.length) {
+    for (let i = 0; i < sims.length; i++) {
+      if (excluded.has(i) || (allow && !allow[i])) continue;
+      for (let r = 0; r < scores.length; r++) if (sims[i] > scores[r]) ranks[r]++;
+    }
+  }
+  return { top: heap.drainDescending(), ranks, scores };
+}
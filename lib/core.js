@@ -0,0 +1,2487 @@
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { HnswIndex } from './hnsw.js';
+import { DTYPES, createMatrix, encodeMatrix, parseMatrix, readMatrixFile, serializeMatrix, shareMatrix } from './matrix.js';
+import { normalizeVec, dot } from './vectors.js';
+import { loadEmbedder } from './embedder.js';
+import { SCORINGS, scanAnalogy } from './analogy.js';
+import { WorkerPool } from './worker-pool.js';
+import { EmbeddingCache } from './embedding-cache.js';
+import { PROJECTIONS, fitBasis, projectPoints } from './projection.js';
+import { ExperimentStore, summarize } from './experiments.js';
+import { listOverlap } from './overlap.js';
+import { FilterError, parseFilters, hasWordFilters, matchWords } from './filters.js';
+import { ExpressionError, parseExpression, expressionInputs, evaluateExpression, formatExpression } from './expression.js';
+
+// Vocab loading, the matrix cache, embedding and search, without any HTTP:
+// index.js serves these operations as the JSON API and bin/cli.js runs them
+// from the shell. Operations take the request body as a plain object and
+// return the response; invalid input throws BadRequestError. Call init()
+// before the first operation and close() to let the process exit.
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// --- Config ---
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const CACHE_DIR = process.env.CACHE_DIR || process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(ROOT_DIR, 'cache');
+const MATRIX_DIR = path.join(CACHE_DIR, 'matrices');
+const EMBEDDING_DIR = path.join(CACHE_DIR, 'embeddings');
+const EXPERIMENTS_DIR = process.env.EXPERIMENTS_DIR || path.join(CACHE_DIR, 'experiments'); // never evicted
+const VOCAB_PATH = process.env.VOCAB_PATH || path.join(DATA_DIR, 'vocab.txt');
+const BENCHMARK_DIR = process.env.BENCHMARK_DIR || path.join(DATA_DIR, 'benchmarks');
+const MODEL_ID = process.env.MODEL_ID || 'Xenova/all-MiniLM-L6-v2'; // default model: 384-dim, fast, good quality
+const MODELS = [...new Set([MODEL_ID, ...(process.env.MODELS || '').split(',').map(m => m.trim()).filter(Boolean)])]; // selectable per request
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 64);
+const MATRIX_DTYPE = process.env.MATRIX_DTYPE || 'float32';              // float32 | float16 | int8
+const CACHE_MAX_BYTES = Number(process.env.CACHE_MAX_BYTES || 0);         // 0 = unlimited
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 0);     // 0 = unlimited
+const MAX_LOADED_MATRICES = Number(process.env.MAX_LOADED_MATRICES || 2); // matrices kept in memory
+const EMBED_CACHE_SIZE = Number(process.env.EMBED_CACHE_SIZE || 10000);   // out-of-vocab word vectors kept in memory
+const ANN_INDEX = process.env.ANN_INDEX || 'auto';                      // auto | always | off
+const ANN_MIN_VOCAB = Number(process.env.ANN_MIN_VOCAB || 20000);        // 'auto' indexes vocabs at least this large
+const ANN_M = Number(process.env.ANN_M || 16);
+const ANN_EF_CONSTRUCTION = Number(process.env.ANN_EF_CONSTRUCTION || 100);
+const ANN_EF_SEARCH = Number(process.env.ANN_EF_SEARCH || 128);
+const ANN_BUILD_SLICE_MS = 10; // longest stretch an index build holds the event loop
+const ANN_MAX_CANDIDATES = 4096; // filtered ANN queries widen up to this many hits before scanning instead
+const DEFAULT_K = 200;
+const MAX_BATCH_TARGETS = Number(process.env.MAX_BATCH_TARGETS || 1000);
+const EVAL_MAX_QUESTIONS = Number(process.env.EVAL_MAX_QUESTIONS || 5000);
+const MAX_COMPARE_SIDES = 4; // models / templates in one /api/compare request
+const ROUND_TRIP_LIMIT = 20; // neighbors checked by `roundTrip: true`
+const MAX_STRENGTH = 10; // |α| of a scaled translation target + α · relation
+const MAX_TRAJECTORY_STEPS = 101;
+const MAX_INVERSE_RELATIONS = 500; // known relations one /api/inverse request may score
+const MAX_EXPRESSION_LENGTH = 1000; // characters of one /api/expression query
+const MINE_MAX_SOURCES = Number(process.env.MINE_MAX_SOURCES || 2000); // source words one mining request may translate
+const MIN_LAYOUT_POINTS = 3; // fewer chart points are placed by PCA, whatever the projection
+const PROJECTION_SAMPLE = Number(process.env.PROJECTION_SAMPLE || 10000); // vocab rows the global PCA basis is fit on
+const WORKERS = Number(process.env.WORKERS ?? Math.min(4, Math.max(1, os.cpus().length - 1))); // 0 = embed and scan in-process
+const WORKER_QUEUE = Number(process.env.WORKER_QUEUE || 256);          // queued tasks before answering 503
+const WORKER_TIMEOUT_MS = Number(process.env.WORKER_TIMEOUT_MS || 30000); // per task, queue wait included
+
+if (!DTYPES.includes(MATRIX_DTYPE)) {
+  throw new Error(`MATRIX_DTYPE must be one of ${DTYPES.join(', ')}`);
+}
+
+// --- Globals (populated on boot) ---
+let vocab = [];              // array of words / phrases, as written in the vocab file
+let vocabIndex = new Map();  // Map phraseKey(word) -> row index in `matrix`
+let wordToPos = new Map();   // Map phraseKey(word) -> array of POS labels
+let activeSignature = null;  // cache signature of the default (last rebuilt) matrix
+// Each built template is a "space": { matrix, meta, index } where matrix is a
+// row store over vocab.length * dim values (see lib/matrix.js), meta is the
+// cache entry (template, dtype, normalized…) and index the optional ANN graph
+const loadedMatrices = new Map(); // signature -> space, in LRU order
+const builds = new Map();         // signature -> build job (progress of background builds)
+const signatures = new Map();     // model + contextTemplate -> matrix signature for the current vocab
+const filterMasks = new Map();    // filter key -> Uint8Array of allowed rows of the current vocab
+const embeddingCache = new EmbeddingCache(EMBEDDING_DIR, { maxEntries: EMBED_CACHE_SIZE });
+let vocabRowHits = 0;             // seed / target words served from a vocab matrix row
+const experiments = new ExperimentStore(EXPERIMENTS_DIR);
+
+// registered models; each is loaded on first use and then stays loaded
+const models = new Map(MODELS.map(id => [id, { id, dim: 0, state: 'idle', error: null, embedder: null, loading: null }]));
+
+// embedding and full-matrix scans run on worker threads, off the event loop
+const pool = WORKERS > 0
+  ? new WorkerPool(new URL('./worker.js', import.meta.url), { size: WORKERS, maxQueue: WORKER_QUEUE, timeout: WORKER_TIMEOUT_MS })
+  : null;
+
+// --- Helpers ---
+const hashJSON = (obj) => crypto.createHash('sha256').update(JSON.stringify(obj)).digest('hex');
+
+// thrown for invalid request payloads, reported as HTTP 400
+export class BadRequestError extends Error {}
+
+// thrown when the vocab matrix for a request's template is missing (409) or being built (202)
+export class MatrixNotReadyError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// thrown for an unknown saved experiment, reported as HTTP 404
+export class NotFoundError extends Error {}
+
+function getRow(space, i) {
+  return space.matrix.row(i);
+}
+
+// lookup form of a word or phrase: `ice_cream`, `ice cream` and ` ice  cream`
+// are the same entry; this is also the text that gets embedded
+function phraseKey(word) {
+  return String(word).replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function wordsToTexts(words, template = '{w}') {
+  // Allow giving context like "I saw {w} yesterday."
+  return words.map(phraseKey).map(w => (template.includes('{w}') ? template.replaceAll('{w}', w) : w));
+}
+
+// load a registered model (on every worker) and learn its embedding dimension
+async function ensureModel(modelId = MODEL_ID) {
+  const model = models.get(modelId);
+  if (!model) throw new BadRequestError(`unknown model "${modelId}"; available: ${MODELS.join(', ')}`);
+  if (!model.loading) {
+    model.state = 'loading';
+    model.error = null;
+    model.loading = (async () => {
+      if (pool) {
+        const [loaded] = await pool.broadcast('load', { modelId }, { timeout: 0 });
+        model.dim = loaded.dim;
+      } else {
+        model.embedder = await loadEmbedder(modelId);
+        model.dim = model.embedder.dim;
+      }
+      model.state = 'ready';
+      return model;
+    })();
+    model.loading.catch((e) => {
+      model.state = 'failed';
+      model.error = String(e);
+      model.loading = null; // retried on the next request
+    });
+  }
+  return model.loading;
+}
+
+async function embedMany(texts, modelId = MODEL_ID) {
+  const model = await ensureModel(modelId);
+  if (!pool) return model.embedder.embed(texts);
+  const { dim: d, data } = await pool.run('embed', { modelId, texts });
+  return texts.map((_, i) => data.subarray(i * d, (i + 1) * d));
+}
+
+function serializeModel(model) {
+  return { id: model.id, dim: model.dim || null, state: model.state, error: model.error, default: model.id === MODEL_ID };
+}
+
+// matrices searched by the pool live in shared memory
+function residentMatrix(store) {
+  return pool ? shareMatrix(store) : store;
+}
+
+function parsePosString(rawPos) {
+  if (!rawPos) return [];
+  if (Array.isArray(rawPos)) return rawPos.filter(Boolean);
+  return rawPos
+    .split(',')
+    .map(x => x.trim())
+    .filter(Boolean);
+}
+
+function getPosForWord(word) {
+  const key = phraseKey(word);
+  if (!wordToPos.has(key)) return [];
+  const value = wordToPos.get(key);
+  return Array.isArray(value) ? value : [];
+}
+
+async function loadVocab() {
+  wordToPos = new Map();
+  const words = [];
+  const seen = new Set();
+
+  if (await fs.pathExists(VOCAB_PATH)) {
+    const raw = await fs.readFile(VOCAB_PATH, 'utf8');
+    const lines = raw.split(/\r?\n/).map(x => x.trim()).filter(Boolean);
+    for (const line of lines) {
+      let wordPart = line;
+      let posPart = '';
+
+      if (line.includes('\t')) {
+        const [w, p] = line.split('\t');
+        wordPart = (w || '').trim();
+        posPart = (p || '').trim();
+      } else if (line.includes('|')) {
+        const [w, p] = line.split('|');
+        wordPart = (w || '').trim();
+        posPart = (p || '').trim();
+      }
+
+      // phrases keep their spelling as the label; underscores only matter for lookup
+      const word = wordPart.replace(/\s+/g, ' ');
+      const key = phraseKey(word);
+      if (!key) continue;
+
+      if (!seen.has(key)) {
+        words.push(word);
+        seen.add(key);
+      }
+
+      const existing = wordToPos.get(key) || [];
+      const merged = new Set(existing);
+      for (const tag of parsePosString(posPart)) {
+        merged.add(tag);
+      }
+      wordToPos.set(key, Array.from(merged));
+    }
+  } else {
+    // A tiny default vocabulary so things run even without a file.
+    for (const word of [
+      'garden','gardening','belief','believing','fight','fighting',
+      'run','running','walk','walking','play','playing','think','thinking',
+      'write','writing','drive','driving','code','coding','swim','swimming',
+      'invent','inventing','create','creating','design','designing','build','building',
+      'teacher','student','pilot','sailor','engineer','scientist','company','market',
+      'product','prototype','research','energy','health','transportation','data','model',
+      'language','word','verb','noun','adjective','adverb','plural','past','future',
+      'fast','faster','fastest','smart','smarter','smartest','happy','happier','happiest',
+      'good','better','best','bad','worse','worst','large','larger','largest',
+      'dog','dogs','cat','cats','city','cities','child','children','mouse','mice'
+    ]) {
+      if (!seen.has(word)) {
+        words.push(word);
+        seen.add(word);
+      }
+      if (!wordToPos.has(word)) {
+        wordToPos.set(word, ['Other']);
+      }
+    }
+  }
+
+  // Ensure every word has at least one POS entry for downstream use.
+  for (const word of words) {
+    if (!getPosForWord(word).length) {
+      wordToPos.set(phraseKey(word), ['Other']);
+    }
+  }
+
+  vocab = words;
+  vocabIndex = new Map(words.map((w, i) => [phraseKey(w), i]));
+  signatures.clear();
+  filterMasks.clear();
+  console.log(`[vocab] size=${vocab.length}`);
+}
+
+// --- Matrix cache store ---
+// One `<signature>.bin` / `<signature>.json` pair per (model, vocab, template)
+// under MATRIX_DIR. The JSON meta records the template and last use so the
+// store can be listed and evicted least-recently-used first.
+function cachePaths(signature) {
+  return {
+    metaPath: path.join(MATRIX_DIR, `${signature}.json`),
+    binPath: path.join(MATRIX_DIR, `${signature}.bin`),
+    indexPath: path.join(MATRIX_DIR, `${signature}.hnsw`),
+    basisPath: path.join(MATRIX_DIR, `${signature}.basis.json`)
+  };
+}
+
+async function readCacheMeta(signature) {
+  const { metaPath, binPath } = cachePaths(signature);
+  if (!await fs.pathExists(metaPath) || !await fs.pathExists(binPath)) return null;
+  return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+}
+
+async function writeCacheMeta(meta) {
+  await fs.writeFile(cachePaths(meta.signature).metaPath, JSON.stringify(meta, null, 2));
+}
+
+async function listCacheEntries() {
+  const files = (await fs.readdir(MATRIX_DIR)).filter(f => f.endsWith('.json') && !f.endsWith('.basis.json'));
+  const entries = [];
+  for (const f of files) {
+    const meta = await readCacheMeta(path.basename(f, '.json'));
+    if (!meta) continue;
+    const { binPath, indexPath, basisPath } = cachePaths(meta.signature);
+    const { size } = await fs.stat(binPath);
+    const indexBytes = await fs.pathExists(indexPath) ? (await fs.stat(indexPath)).size : 0;
+    const basisBytes = await fs.pathExists(basisPath) ? (await fs.stat(basisPath)).size : 0;
+    entries.push({
+      ...meta,
+      bytes: size + indexBytes + basisBytes,
+      indexBytes,
+      basis: basisBytes > 0,
+      active: meta.signature === activeSignature,
+      inMemory: loadedMatrices.has(meta.signature)
+    });
+  }
+  return entries.sort((x, y) => (y.lastUsedAt || 0) - (x.lastUsedAt || 0));
+}
+
+async function deleteCacheEntry(signature) {
+  if (!/^[a-f0-9]{64}$/.test(signature)) {
+    throw new BadRequestError('invalid cache signature');
+  }
+  if (signature === activeSignature) {
+    throw new BadRequestError('cannot delete the active matrix');
+  }
+  const meta = await readCacheMeta(signature);
+  if (!meta) throw new BadRequestError(`unknown cache entry "${signature}"`);
+  const { metaPath, binPath, indexPath, basisPath } = cachePaths(signature);
+  await fs.remove(binPath);
+  await fs.remove(indexPath);
+  await fs.remove(basisPath);
+  await fs.remove(metaPath);
+  loadedMatrices.delete(signature);
+  return meta;
+}
+
+// drop least-recently-used entries until the store fits the limits (0 = no limit);
+// the active matrix and the `keep` signatures are never evicted
+async function evictCacheEntries({ maxBytes = CACHE_MAX_BYTES, maxEntries = CACHE_MAX_ENTRIES, keep = [] } = {}) {
+  const entries = await listCacheEntries();
+  let totalBytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+  let count = entries.length;
+  const evicted = [];
+  for (const entry of [...entries].reverse()) {
+    const overBytes = maxBytes > 0 && totalBytes > maxBytes;
+    const overCount = maxEntries > 0 && count > maxEntries;
+    if (!overBytes && !overCount) break;
+    if (entry.active || keep.includes(entry.signature)) continue;
+    await deleteCacheEntry(entry.signature);
+    totalBytes -= entry.bytes;
+    count--;
+    evicted.push(entry.signature);
+    console.log(`[cache] evicted ${entry.signature.slice(0, 12)} (${entry.contextTemplate})`);
+  }
+  return evicted;
+}
+
+// older versions kept a single meta.json / vocab_embeddings.bin in CACHE_DIR
+async function migrateLegacyCache() {
+  const metaPath = path.join(CACHE_DIR, 'meta.json');
+  const binPath = path.join(CACHE_DIR, 'vocab_embeddings.bin');
+  if (!await fs.pathExists(metaPath) || !await fs.pathExists(binPath)) return;
+  const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+  if (meta.signature) {
+    const target = cachePaths(meta.signature);
+    await fs.move(binPath, target.binPath, { overwrite: true });
+    await writeCacheMeta({ ...meta, model: MODEL_ID, contextTemplate: null, createdAt: Date.now(), lastUsedAt: 0 });
+    console.log(`[cache] migrated legacy matrix ${meta.signature.slice(0, 12)}`);
+  }
+  await fs.remove(metaPath);
+  await fs.remove(binPath);
+}
+
+// keep the in-memory LRU ordered by use; the active matrix always stays loaded
+function rememberSpace(space) {
+  const { signature } = space.meta;
+  loadedMatrices.delete(signature);
+  loadedMatrices.set(signature, space);
+  for (const key of loadedMatrices.keys()) {
+    if (loadedMatrices.size <= MAX_LOADED_MATRICES) break;
+    if (key !== activeSignature && key !== signature) loadedMatrices.delete(key);
+  }
+  return space;
+}
+
+async function touchSpace(space) {
+  const now = Date.now();
+  const stale = now - (space.meta.lastUsedAt || 0) > 60_000;
+  space.meta.lastUsedAt = now;
+  if (stale) await writeCacheMeta(space.meta);
+}
+
+// memoized per model and template: hashing the whole vocab on every request is
+// not free. The model must be loaded (its dimension is part of the signature).
+function matrixSignature(modelId, contextTemplate) {
+  const key = JSON.stringify([modelId, contextTemplate]);
+  if (!signatures.has(key)) {
+    signatures.set(key, hashJSON({ model: modelId, dim: models.get(modelId).dim, vocab, contextTemplate }));
+  }
+  return signatures.get(key);
+}
+
+// in-memory or on-disk matrix for a signature, or null when it was never built
+async function loadSpace(signature, contextTemplate) {
+  if (loadedMatrices.has(signature)) {
+    const space = rememberSpace(loadedMatrices.get(signature));
+    await touchSpace(space);
+    return space;
+  }
+  const cached = await readCacheMeta(signature);
+  if (!cached) return null;
+  const { binPath } = cachePaths(signature);
+  // the file's own header is the source of truth; a file that is damaged or
+  // belongs to another entry counts as missing, so the matrix is rebuilt
+  let header, store;
+  try {
+    ({ header, store } = parseMatrix(await readMatrixFile(binPath, { shared: !!pool }), cached));
+    if (!header.legacy && header.signature !== signature) throw new Error('header signature does not match');
+    if (store.n !== vocab.length) throw new Error(`${store.n} rows for a vocab of ${vocab.length}`);
+  } catch (e) {
+    console.warn(`[cache] ignoring matrix ${signature.slice(0, 12)} (${e.message}); it will be rebuilt`);
+    return null;
+  }
+  if (header.legacy || (store.dtype === 'float32' && MATRIX_DTYPE !== 'float32')) {
+    // add the versioned header / re-encode to the configured dtype without re-embedding
+    store = createMatrix(encodeMatrix(store.data, store.n, store.dim, MATRIX_DTYPE));
+    await fs.writeFile(binPath, serializeMatrix(store, { signature, normalized: header.normalized === true }));
+    console.log(`[cache] re-encoded ${signature.slice(0, 12)} as ${store.dtype}`);
+  } else if (store.dtype !== MATRIX_DTYPE) {
+    console.warn(`[cache] ${signature.slice(0, 12)} is stored as ${store.dtype}, not ${MATRIX_DTYPE}; delete the cache entry and rebuild to change it`);
+  }
+  const meta = {
+    ...cached, n: store.n, dim: store.dim, dtype: store.dtype, normalized: header.normalized === true, contextTemplate, lastUsedAt: Date.now()
+  };
+  await writeCacheMeta(meta);
+  console.log(`[cache] loaded matrix n=${meta.n} dim=${meta.dim} dtype=${meta.dtype} template=${JSON.stringify(contextTemplate)}`);
+  const space = rememberSpace({ matrix: residentMatrix(store), meta, index: null });
+  await loadIndex(space);
+  return space;
+}
+
+// embed the whole vocab with a model and template; concurrent calls share one
+// build. The model must be loaded.
+function buildSpace(modelId, contextTemplate) {
+  const signature = matrixSignature(modelId, contextTemplate);
+  const { dim } = models.get(modelId);
+  const pending = builds.get(signature);
+  if (pending && pending.state === 'building') return pending.promise;
+
+  const job = {
+    signature,
+    model: modelId,
+    contextTemplate,
+    state: 'building',
+    done: 0,
+    total: vocab.length,
+    startedAt: Date.now(),
+    finishedAt: null,
+    error: null
+  };
+  builds.set(signature, job);
+
+  job.promise = (async () => {
+    console.log(`[cache] building vocab embedding matrix for ${modelId}, template ${JSON.stringify(contextTemplate)}…`);
+    const texts = wordsToTexts(vocab, contextTemplate);
+    const n = vocab.length;
+    const built = new Float32Array(pool && MATRIX_DTYPE === 'float32' ? new SharedArrayBuffer(n * dim * 4) : n * dim);
+
+    // one batch in flight per worker
+    let next = 0;
+    const lane = async () => {
+      while (next < n) {
+        const i = next;
+        next += BATCH_SIZE;
+        let embs;
+        try {
+          embs = await embedMany(texts.slice(i, i + BATCH_SIZE), modelId);
+        } catch (e) {
+          next = n; // stop the other lanes
+          throw e;
+        }
+        for (let j = 0; j < embs.length; j++) {
+          // normalize rows for cosine
+          built.set(normalizeVec(embs[j]), (i + j) * dim);
+        }
+        job.done += embs.length;
+        if (((i / BATCH_SIZE) % 10) === 0) {
+          console.log(`  embedded ${job.done} / ${n}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: pool ? pool.size : 1 }, lane));
+
+    const store = residentMatrix(createMatrix(encodeMatrix(built, n, dim, MATRIX_DTYPE)));
+    const now = Date.now();
+    const meta = {
+      n, dim, dtype: store.dtype, normalized: true, signature, model: modelId, contextTemplate, createdAt: now, lastUsedAt: now
+    };
+    await fs.writeFile(cachePaths(signature).binPath, serializeMatrix(store, { signature, normalized: true }));
+    await writeCacheMeta(meta);
+    console.log(`[cache] matrix saved (${store.dtype}, ${(store.bytes / 1e6).toFixed(1)} MB)`);
+    return rememberSpace({ matrix: store, meta, index: null });
+  })();
+
+  job.promise.then(async (space) => {
+    job.state = 'done';
+    job.finishedAt = Date.now();
+    if (wantsIndex(space)) buildIndex(space).catch(() => {});
+    // the new matrix may be waiting for its first request, so it stays
+    await evictCacheEntries({ keep: [signature] }).catch((e) => {
+      console.warn(`[cache] eviction after build failed: ${e.message}`);
+    });
+  }, (e) => {
+    job.state = 'failed';
+    job.finishedAt = Date.now();
+    job.error = String(e);
+    console.error(`[cache] build failed for template ${JSON.stringify(contextTemplate)}:`, e);
+  });
+  return job.promise;
+}
+
+function serializeBuild(job) {
+  if (!job) return null;
+  const { promise, ...info } = job;
+  return info;
+}
+
+// the template is part of the matrix signature and wraps every vocab word, so
+// it is checked before either is computed
+function checkTemplate(contextTemplate) {
+  if (typeof contextTemplate !== 'string') throw new BadRequestError('contextTemplate must be a string');
+}
+
+// the matrix a request should search: it must have been built with the same
+// model and template as the request's seeds and target, otherwise scores are
+// meaningless. `build: 'background'` starts building a missing matrix instead
+// of rejecting.
+async function resolveSpace(contextTemplate = '{w}', { build = 'reject', model = MODEL_ID } = {}) {
+  if (!['reject', 'background'].includes(build)) {
+    throw new BadRequestError('build must be "reject" or "background"');
+  }
+  checkTemplate(contextTemplate);
+  await ensureModel(model);
+  const signature = matrixSignature(model, contextTemplate);
+  const space = await loadSpace(signature, contextTemplate);
+  if (space) return space;
+
+  const details = { model, contextTemplate, signature };
+  if (build === 'background') {
+    buildSpace(model, contextTemplate).catch(() => {}); // failure is reported through the build job
+    throw new MatrixNotReadyError(
+      202,
+      `building the vocab matrix for ${model}, template ${JSON.stringify(contextTemplate)}; poll /api/builds/${signature}`,
+      { ...details, build: serializeBuild(builds.get(signature)) }
+    );
+  }
+  throw new MatrixNotReadyError(
+    409,
+    `no vocab matrix built for ${model}, template ${JSON.stringify(contextTemplate)}; rebuild it first or pass build: "background"`,
+    { ...details, build: serializeBuild(builds.get(signature)) }
+  );
+}
+
+function activeSpace() {
+  return loadedMatrices.get(activeSignature) || null;
+}
+
+// (re)load the vocab and make the model + template matrix the active one,
+// building it if needed
+async function buildOrLoadEmbeddingMatrix(contextTemplate = '{w}', modelId = MODEL_ID) {
+  checkTemplate(contextTemplate);
+  await ensureModel(modelId); // validates the id before the vocab is reloaded
+  await loadVocab();
+
+  const signature = matrixSignature(modelId, contextTemplate);
+  const space = await loadSpace(signature, contextTemplate) || await buildSpace(modelId, contextTemplate);
+  activeSignature = signature;
+  rememberSpace(space);
+  return space;
+}
+
+// --- Approximate nearest-neighbor index ---
+// An HNSW graph per matrix, persisted as `<signature>.hnsw` next to it. It is
+// only used for plain nearest-row queries (3CosAdd); everything that needs a
+// score for every row keeps scanning the matrix.
+function wantsIndex(space) {
+  if (ANN_INDEX === 'off') return false;
+  return ANN_INDEX === 'always' || space.meta.n >= ANN_MIN_VOCAB;
+}
+
+async function loadIndex(space) {
+  const { indexPath } = cachePaths(space.meta.signature);
+  if (await fs.pathExists(indexPath)) {
+    try {
+      const { index, header } = HnswIndex.fromBuffer(await fs.readFile(indexPath), space.matrix);
+      if (header.signature === space.meta.signature && index.complete) {
+        space.index = index;
+        console.log(`[ann] loaded index for ${space.meta.signature.slice(0, 12)}`);
+        return;
+      }
+    } catch (e) {
+      console.warn(`[ann] ignoring unreadable index ${indexPath}: ${e.message}`);
+    }
+  }
+  if (wantsIndex(space)) buildIndex(space).catch(() => {});
+}
+
+// insert rows in slices of ANN_BUILD_SLICE_MS so the event loop keeps serving
+// requests meanwhile; a slice of fixed row count would grow with the graph
+function buildIndex(space) {
+  if (space.index) return Promise.resolve(space.index);
+  if (space.indexJob && space.indexJob.state === 'building') return space.indexJob.promise;
+
+  const index = new HnswIndex(space.matrix, { M: ANN_M, efConstruction: ANN_EF_CONSTRUCTION });
+  const job = { state: 'building', done: 0, total: index.n, startedAt: Date.now(), finishedAt: null, error: null };
+  space.indexJob = job;
+  job.promise = (async () => {
+    console.log(`[ann] building index for ${space.meta.signature.slice(0, 12)} (n=${index.n})…`);
+    while (!index.complete) {
+      const until = performance.now() + ANN_BUILD_SLICE_MS;
+      while (performance.now() < until && index.addNext());
+      job.done = index.count;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await fs.writeFile(cachePaths(space.meta.signature).indexPath, index.toBuffer({ signature: space.meta.signature }));
+    space.index = index;
+    job.state = 'done';
+    job.finishedAt = Date.now();
+    console.log(`[ann] index saved (${((job.finishedAt - job.startedAt) / 1000).toFixed(1)}s)`);
+    return index;
+  })();
+  job.promise.catch((e) => {
+    job.state = 'failed';
+    job.finishedAt = Date.now();
+    job.error = String(e);
+    console.error('[ann] index build failed:', e);
+  });
+  return job.promise;
+}
+
+function indexStatus(space) {
+  if (space.index) return { state: 'ready', ef: ANN_EF_SEARCH, M: space.index.M };
+  if (space.indexJob) {
+    const { promise, ...info } = space.indexJob;
+    return info;
+  }
+  return { state: 'none' };
+}
+
+// --- Neighbor filters ---
+// Parsed and matched in lib/filters.js; the masks of the last few filter sets
+// are kept, in shared memory so scans on workers read them.
+const FILTER_MASKS_KEPT = 8;
+
+function resolveFilters(raw) {
+  try {
+    return parseFilters(raw);
+  } catch (e) {
+    if (e instanceof FilterError) throw new BadRequestError(e.message);
+    throw e;
+  }
+}
+
+// allowed rows for the word-level filters (everything but minScore), or null
+// when none is set
+function filterMask(filters) {
+  if (!filters) return null;
+  const { minScore, ...wordFilters } = filters;
+  if (!hasWordFilters(wordFilters)) return null;
+
+  const key = JSON.stringify(wordFilters);
+  if (filterMasks.has(key)) {
+    const mask = filterMasks.get(key);
+    filterMasks.delete(key);
+    filterMasks.set(key, mask);
+    return mask;
+  }
+  let mask;
+  try {
+    mask = matchWords(vocab, wordFilters, {
+      posOf: getPosForWord,
+      keyOf: phraseKey,
+      out: new Uint8Array(pool ? new SharedArrayBuffer(vocab.length) : vocab.length)
+    });
+  } catch (e) {
+    if (e instanceof FilterError) throw new BadRequestError(e.message);
+    throw e;
+  }
+  filterMasks.set(key, mask);
+  for (const old of filterMasks.keys()) {
+    if (filterMasks.size <= FILTER_MASKS_KEPT) break;
+    filterMasks.delete(old);
+  }
+  return mask;
+}
+
+// resolved filters as echoed in `meta.filters`, with the number of vocab words they allow
+function describeFilters(filters) {
+  if (!filters) return null;
+  const mask = filterMask(filters);
+  let allowed = vocab.length;
+  if (mask) {
+    allowed = 0;
+    for (let i = 0; i < mask.length; i++) allowed += mask[i];
+  }
+  return { ...filters, allowedWords: allowed };
+}
+
+// full-matrix analogy scan (see lib/analogy.js) on a worker, or in-process
+// without a pool; `query.exclude` and `query.rankOf` are row ids
+async function scanSpace(space, query) {
+  if (!pool) return scanAnalogy(space.matrix, query);
+  const { dtype, n, dim: d, data, scales } = space.matrix;
+  return pool.run('scan', { matrix: { dtype, n, dim: d, data, scales }, ...query });
+}
+
+function rowIds(words) {
+  const ids = [];
+  for (const w of words) {
+    const key = phraseKey(w);
+    if (vocabIndex.has(key)) ids.push(vocabIndex.get(key));
+  }
+  return ids;
+}
+
+function toNeighbor(i, score) {
+  const w = vocab[i];
+  return { word: w, score, index: i, pos: getPosForWord(w) };
+}
+
+// `k` of a neighbor query: an integer (numeric strings included) up to DEFAULT_K
+function resolveK(raw) {
+  const k = Number(raw);
+  if (!Number.isInteger(k) || k < 1 || k > DEFAULT_K) throw new BadRequestError(`k must be an integer in [1, ${DEFAULT_K}]`);
+  return k;
+}
+
+// nearest rows to a query vector through the ANN index when allowed and ready,
+// otherwise by exact scan; `search` is 'auto' | 'exact' | 'ann'. With filters
+// the ANN query is widened until k hits pass them, up to ANN_MAX_CANDIDATES.
+async function nearestNeighbors(space, q, k, exclude, { search = 'auto', filters = null } = {}) {
+  const allow = filterMask(filters);
+  const minScore = filters?.minScore ?? -Infinity;
+  let reason = null;
+  if (search !== 'exact' && space.index) {
+    const accept = (h) => h.score >= minScore && !exclude.has(phraseKey(vocab[h.id])) && (!allow || allow[h.id]);
+    let want = k + exclude.size;
+    for (;;) {
+      const ef = Math.max(ANN_EF_SEARCH, want);
+      const hits = space.index.search(q, want, ef);
+      const kept = hits.filter(accept).slice(0, k);
+      // hits come best first: past minScore or the end of the graph nothing better follows
+      const exhausted = hits.length < want || (hits.length && hits[hits.length - 1].score < minScore);
+      if (kept.length >= k || exhausted || (search === 'ann' && want >= ANN_MAX_CANDIDATES)) {
+        return { neighbors: kept.map(h => toNeighbor(h.id, h.score)), search: { mode: 'ann', requested: search, ef } };
+      }
+      if (want >= ANN_MAX_CANDIDATES) break;
+      want = Math.min(want * 4, ANN_MAX_CANDIDATES);
+    }
+    reason = 'filters too selective for the index';
+  } else if (search !== 'exact') {
+    reason = space.indexJob?.state === 'building' ? 'index building' : 'no index';
+  }
+  const { top } = await scanSpace(space, { vectors: { translated: q }, k, exclude: rowIds(exclude), allow, minScore });
+  return { neighbors: top.map(h => toNeighbor(h.id, h.score)), search: { mode: 'exact', requested: search, reason } };
+}
+
+const SEARCH_MODES = ['auto', 'exact', 'ann'];
+
+// rank the vocab for one analogy: plain 3CosAdd is a nearest-row query (ANN
+// eligible), the other scorings need a score for every row
+async function rankAnalogy(space, method, ctx, k, exclude, { search = 'auto', filters = null } = {}) {
+  if (!SEARCH_MODES.includes(search)) {
+    throw new BadRequestError(`search must be one of ${SEARCH_MODES.join(', ')}`);
+  }
+  if (method.scoring === '3cosadd') return nearestNeighbors(space, ctx.translated, k, exclude, { search, filters });
+  const { top } = await scanSpace(space, {
+    scoring: method.scoring,
+    vectors: analogyVectors(method.scoring, ctx),
+    k,
+    exclude: rowIds(exclude),
+    allow: filterMask(filters),
+    minScore: filters?.minScore ?? -Infinity
+  });
+  return {
+    neighbors: top.map(h => toNeighbor(h.id, h.score)),
+    search: { mode: 'exact', requested: search, reason: search === 'exact' ? null : `${method.scoring} scores every row` }
+  };
+}
+
+// --- Projections ---
+const PROJECTION_LIMITS = {
+  seed: [0, 2 ** 32 - 1],
+  nNeighbors: [2, 100],
+  minDist: [0, 1],
+  epochs: [10, 1000],
+  perplexity: [1, 100],
+  iterations: [50, 2000]
+};
+
+const BASES = ['local', 'global'];
+
+// `projection` is a method name or { method, basis, seed, ...tuning } (see lib/projection.js)
+function resolveProjection(raw = 'pca') {
+  const { method = 'pca', basis = 'local', ...options } = typeof raw === 'string' ? { method: raw } : (raw || {});
+  if (!PROJECTIONS.includes(method)) {
+    throw new BadRequestError(`unknown projection "${method}" (expected one of ${PROJECTIONS.join(', ')})`);
+  }
+  if (!BASES.includes(basis)) {
+    throw new BadRequestError(`projection.basis must be one of ${BASES.join(', ')}`);
+  }
+  if (basis === 'global' && method !== 'pca') {
+    throw new BadRequestError('a global basis is only available for the pca projection');
+  }
+  const resolved = { method, basis };
+  for (const [name, [min, max]] of Object.entries(PROJECTION_LIMITS)) {
+    if (options[name] === undefined) continue;
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new BadRequestError(`projection.${name} must be a number in [${min}, ${max}]`);
+    }
+    resolved[name] = value;
+  }
+  return resolved;
+}
+
+// The global basis: PCA axes fit once over (a sample of) a matrix and kept as
+// `<signature>.basis.json` next to it, so charts of different queries on the
+// same matrix share their coordinates. Fit on first use; concurrent callers
+// share one fit.
+function ensureBasis(space) {
+  if (!space.basisJob) {
+    space.basisJob = (async () => {
+      const { basisPath } = cachePaths(space.meta.signature);
+      if (await fs.pathExists(basisPath)) {
+        try {
+          const basis = JSON.parse(await fs.readFile(basisPath, 'utf8'));
+          if (basis.signature === space.meta.signature) return basis;
+        } catch (e) {
+          console.warn(`[projection] ignoring unreadable basis ${basisPath}: ${e.message}`);
+        }
+      }
+      const started = Date.now();
+      const options = { sample: PROJECTION_SAMPLE };
+      const { dtype, n, dim: d, data, scales } = space.matrix;
+      // a one-off job that may take longer than a scan: no pool timeout
+      const fitted = pool
+        ? await pool.run('basis', { matrix: { dtype, n, dim: d, data, scales }, options }, { timeout: 0 })
+        : fitBasis(space.matrix, options);
+      const basis = {
+        signature: space.meta.signature,
+        model: space.meta.model,
+        contextTemplate: space.meta.contextTemplate,
+        fittedAt: Date.now(),
+        ...fitted
+      };
+      await fs.writeFile(basisPath, JSON.stringify(basis));
+      console.log(`[projection] fit global basis for ${space.meta.signature.slice(0, 12)} on ${basis.sampleSize} rows (${Date.now() - started} ms)`);
+      return basis;
+    })();
+    space.basisJob.catch(() => { space.basisJob = null; });
+  }
+  return space.basisJob;
+}
+
+// basis as reported by the API; `full` adds the mean and axis vectors
+function describeBasis(basis, { full = false } = {}) {
+  const { mean, components, ...info } = basis;
+  return full ? { ...info, mean, components } : info;
+}
+
+// 3D layout of the chart points; UMAP and t-SNE take long enough to run on a
+// worker. Filters can leave no neighbors, and then only the target and its
+// translation (or a one-word expression and its result) remain: too few
+// points to fit a layout to, so they skip it.
+async function projectChart(space, points, projection, relation) {
+  const vectors = points.map(p => p.vec);
+  const basis = projection.basis === 'global' ? await ensureBasis(space) : null;
+  let result;
+  if (points.length < MIN_LAYOUT_POINTS) {
+    result = projectPoints(vectors, { method: 'pca', basis });
+    result.requested = projection.method;
+    if (projection.method !== 'pca') result.diagnostics.fallback = `${projection.method} needs at least ${MIN_LAYOUT_POINTS} points`;
+  } else {
+    const options = { ...projection, basis, relation: projection.method === 'relation' ? relation : null };
+    result = pool ? await pool.run('project', { vectors, options }) : projectPoints(vectors, options);
+  }
+  points.forEach((p, i) => {
+    [p.x, p.y, p.z] = result.coords[i];
+  });
+  return { ...result, basis: basis ? describeBasis(basis) : null };
+}
+
+// chart points as returned by the API, with neighbor scores and POS tags
+function serializePoints(points, neighbors) {
+  const scores = new Map(neighbors.map(n => [`neighbor:${n.word}`, n.score]));
+  return points.map(p => ({
+    id: p.id,
+    label: p.label,
+    kind: p.kind,
+    x: p.x,
+    y: p.y,
+    z: p.z || 0,
+    score: scores.get(p.id) || null,
+    pos: Array.isArray(p.pos) ? p.pos : (p.kind === 'neighbor' ? getPosForWord(p.label) : [])
+  }));
+}
+
+// seed links with the projected coordinates of both ends
+function serializeLinks(points, links) {
+  const pointMap = new Map(points.map(p => [p.id, p]));
+  const coords = (id) => (pointMap.has(id) ? { x: pointMap.get(id).x, y: pointMap.get(id).y, z: pointMap.get(id).z || 0 } : null);
+  return links.map(link => ({
+    id: link.id,
+    fromId: link.fromId,
+    toId: link.toId,
+    fromLabel: link.fromLabel,
+    toLabel: link.toLabel,
+    from: coords(link.fromId),
+    to: coords(link.toId)
+  }));
+}
+
+// --- Relation helpers ---
+const AGGREGATIONS = ['mean', 'median', 'trimmed', 'principal'];
+const DIAG_MIN_COS = 0.3;     // pairs whose delta agrees less with the relation are flagged
+const DIAG_MAX_RANK = 10;     // …as are pairs whose leave-one-out rank is worse than this
+
+function resolveMethod(method = {}) {
+  const {
+    aggregation = 'mean',
+    scoring = '3cosadd',
+    trim = 0.2
+  } = method || {};
+  if (!AGGREGATIONS.includes(aggregation)) {
+    throw new BadRequestError(`unknown aggregation "${aggregation}" (expected one of ${AGGREGATIONS.join(', ')})`);
+  }
+  if (!SCORINGS.includes(scoring)) {
+    throw new BadRequestError(`unknown scoring "${scoring}" (expected one of ${SCORINGS.join(', ')})`);
+  }
+  const trimFrac = Number(trim);
+  if (!Number.isFinite(trimFrac) || trimFrac < 0 || trimFrac >= 0.5) {
+    throw new BadRequestError('trim must be a number in [0, 0.5)');
+  }
+  return { aggregation, scoring, trim: trimFrac };
+}
+
+// pairs are [a, b] or [a, b, weight]
+function toPairObjs(pairs) {
+  const pairObjs = [];
+  for (const pair of Array.isArray(pairs) ? pairs : []) {
+    const [rawA, rawB, w = 1] = Array.isArray(pair) ? pair : [];
+    if (typeof rawA !== 'string' || typeof rawB !== 'string') continue;
+    const a = phraseKey(rawA);
+    const b = phraseKey(rawB);
+    if (!a || !b) continue;
+    const weight = Number(w);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new BadRequestError(`invalid weight for pair ${a} → ${b}`);
+    }
+    pairObjs.push({ a, b, weight });
+  }
+  return pairObjs;
+}
+
+// embeddings of seed / target words with the model and template of `space`:
+// rows of its vocab matrix, then the word embedding cache, and only then the model
+async function embedWords(space, words) {
+  if (!words.length) return [];
+  const { model, contextTemplate } = space.meta;
+  const out = new Array(words.length);
+  const missing = [];
+  words.forEach((w, i) => {
+    if (vocabIndex.has(w)) {
+      out[i] = Float32Array.from(getRow(space, vocabIndex.get(w)));
+      vocabRowHits++;
+    } else {
+      missing.push(w);
+    }
+  });
+  if (!missing.length) return out;
+
+  const namespace = hashJSON({ model, contextTemplate });
+  const unique = [...new Set(missing)];
+  const cached = await embeddingCache.get(namespace, unique);
+  const toEmbed = unique.filter(w => !cached.has(w));
+  if (toEmbed.length) {
+    // chunks are embedded concurrently when there is a worker pool
+    const texts = wordsToTexts(toEmbed, contextTemplate);
+    const chunks = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) chunks.push(texts.slice(i, i + BATCH_SIZE));
+    const vecs = (await Promise.all(chunks.map(chunk => embedMany(chunk, model)))).flat();
+    const entries = toEmbed.map((w, i) => [w, Float32Array.from(vecs[i])]);
+    await embeddingCache.set(namespace, entries);
+    for (const [w, vec] of entries) cached.set(w, vec);
+  }
+  words.forEach((w, i) => {
+    if (!out[i]) out[i] = cached.get(w);
+  });
+  return out;
+}
+
+function weightedMean(vecs, weights) {
+  const dim = vecs[0].length;
+  const out = new Float32Array(dim);
+  let total = 0;
+  for (let i = 0; i < vecs.length; i++) {
+    total += weights[i];
+    for (let j = 0; j < dim; j++) out[j] += weights[i] * vecs[i][j];
+  }
+  if (total > 0) for (let j = 0; j < dim; j++) out[j] /= total;
+  return out;
+}
+
+// coordinate-wise weighted median, or weighted mean of the values left after
+// dropping `trim` of the total weight from each tail
+function coordinateRobust(vecs, weights, trim) {
+  const dim = vecs[0].length;
+  const out = new Float32Array(dim);
+  const order = vecs.map((_, i) => i);
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (!total) return out;
+  for (let j = 0; j < dim; j++) {
+    order.sort((x, y) => vecs[x][j] - vecs[y][j]);
+    let acc = 0;
+    let sum = 0;
+    let kept = 0;
+    for (const i of order) {
+      const lo = acc;
+      acc += weights[i];
+      if (trim === null) {
+        if (acc >= total / 2) { out[j] = vecs[i][j]; break; }
+        continue;
+      }
+      // portion of this value's weight inside the kept band
+      const w = Math.max(0, Math.min(acc, total * (1 - trim)) - Math.max(lo, total * trim));
+      sum += w * vecs[i][j];
+      kept += w;
+    }
+    if (trim !== null) out[j] = kept > 0 ? sum / kept : 0;
+  }
+  return out;
+}
+
+// dominant direction of the (weighted, uncentered) deltas via power iteration
+// on the small n×n Gram matrix, scaled to the mean projection length
+function principalDirection(vecs, weights) {
+  const n = vecs.length;
+  const mean = weightedMean(vecs, weights);
+  if (n < 2) return mean;
+  const sw = weights.map(w => Math.sqrt(w));
+  const gram = [];
+  for (let i = 0; i < n; i++) {
+    gram.push(new Float64Array(n));
+    for (let j = 0; j < n; j++) gram[i][j] = sw[i] * sw[j] * dot(vecs[i], vecs[j]);
+  }
+  let u = new Float64Array(n).fill(1 / Math.sqrt(n));
+  for (let iter = 0; iter < 100; iter++) {
+    const next = new Float64Array(n);
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) next[i] += gram[i][j] * u[j];
+    const norm = Math.hypot(...next) || 1;
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      next[i] /= norm;
+      change += Math.abs(next[i] - u[i]);
+    }
+    u = next;
+    if (change < 1e-9) break;
+  }
+  const dim = vecs[0].length;
+  const dir = new Float32Array(dim);
+  for (let i = 0; i < n; i++) for (let j = 0; j < dim; j++) dir[j] += u[i] * sw[i] * vecs[i][j];
+  const unit = normalizeVec(dir);
+  const sign = dot(unit, mean) < 0 ? -1 : 1;
+  let proj = 0;
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    proj += weights[i] * sign * dot(vecs[i], unit);
+    total += weights[i];
+  }
+  const scale = total > 0 ? sign * proj / total : 0;
+  for (let j = 0; j < dim; j++) unit[j] *= scale;
+  return unit;
+}
+
+// `dim` sizes the zero relation of an empty pair list
+function aggregateDeltas(deltas, weights, { aggregation, trim }, dim = deltas[0]?.length || 0) {
+  if (!deltas.length) return new Float32Array(dim);
+  switch (aggregation) {
+    case 'median': return coordinateRobust(deltas, weights, null);
+    case 'trimmed': return coordinateRobust(deltas, weights, trim);
+    case 'principal': return principalDirection(deltas, weights);
+    default: return weightedMean(deltas, weights);
+  }
+}
+
+// embed each seed pair and aggregate the `b − a` deltas into one relation vector
+async function computeRelation(space, pairObjs, method = resolveMethod()) {
+  const embs = await embedWords(space, pairObjs.flatMap(p => [p.a, p.b]));
+  const pairEmbs = [];
+  const deltas = [];
+  for (let i = 0; i < pairObjs.length; i++) {
+    const fromEmb = embs[2*i];
+    const toEmb   = embs[2*i + 1];
+    const delta = new Float32Array(fromEmb.length);
+    for (let j = 0; j < delta.length; j++) delta[j] = toEmb[j] - fromEmb[j];
+    pairEmbs.push({ a: fromEmb, b: toEmb });
+    deltas.push(delta);
+  }
+  const weights = pairObjs.map(p => p.weight);
+  const avgDelta = aggregateDeltas(deltas, weights, method, space.meta.dim);
+  return { pairEmbs, deltas, weights, avgDelta };
+}
+
+function applyRelation(space, targetEmb, avgDelta) {
+  // transformed target vector (raw sum of target + delta)
+  const transformed = new Float32Array(targetEmb.length);
+  for (let j = 0; j < transformed.length; j++) transformed[j] = targetEmb[j] + avgDelta[j];
+  // cosine similarity works on unit vectors, so align the translated target
+  const translated = space.meta.normalized ? normalizeVec(transformed) : transformed;
+  return { transformed, translated };
+}
+
+// query vectors for scoring every vocab row with `scoring` (see lib/analogy.js);
+// 3CosMul compares against the weighted centroids of the seed sides
+function analogyVectors(scoring, { targetEmb, translated, relation, pairEmbs, weights }) {
+  const vectors = { translated };
+  if (scoring === '3cosmul' && pairEmbs.length) {
+    vectors.A = normalizeVec(weightedMean(pairEmbs.map(p => p.a), weights));
+    vectors.B = normalizeVec(weightedMean(pairEmbs.map(p => p.b), weights));
+    vectors.target = normalizeVec(targetEmb);
+  }
+  if (scoring === 'pairdirection') {
+    vectors.target = normalizeVec(targetEmb);
+    vectors.relation = relation;
+    vectors.relNorm = Math.sqrt(dot(relation, relation)) || 1;
+    vectors.tRel = dot(vectors.target, relation);
+  }
+  return vectors;
+}
+
+// how well the seed pairs agree with each other: delta vs relation cosine,
+// pairwise delta similarities, and the leave-one-out rank of each `b` when its
+// `a` is translated with a relation built from the remaining pairs
+async function pairDiagnostics({ space, pairObjs, pairEmbs, deltas, weights, avgDelta, method, excludeInputs, options = {} }) {
+  const minCos = Number.isFinite(options.minCos) ? options.minCos : DIAG_MIN_COS;
+  const maxRank = Number.isFinite(options.maxRank) ? options.maxRank : DIAG_MAX_RANK;
+  const units = deltas.map(d => normalizeVec(d));
+  const relUnit = normalizeVec(avgDelta);
+  const similarity = units.map(u => units.map(v => dot(u, v)));
+
+  // the leave-one-out scans run concurrently on the worker pool
+  const pairs = await Promise.all(pairObjs.map(async (p, i) => {
+    const cosToRelation = dot(units[i], relUnit);
+    let looRank = null;
+    let looScore = null;
+    const others = pairObjs.map((_, j) => j).filter(j => j !== i);
+    if (others.length && vocabIndex.has(p.b)) {
+      const relation = aggregateDeltas(others.map(j => deltas[j]), others.map(j => weights[j]), method);
+      const { translated } = applyRelation(space, pairEmbs[i].a, relation);
+      const vectors = analogyVectors(method.scoring, {
+        targetEmb: pairEmbs[i].a,
+        translated,
+        relation,
+        pairEmbs: others.map(j => pairEmbs[j]),
+        weights: others.map(j => weights[j])
+      });
+      const excluded = new Set([p.a]);
+      if (excludeInputs) for (const j of others) excluded.add(pairObjs[j].a).add(pairObjs[j].b);
+      excluded.delete(p.b);
+      const { ranks, scores } = await scanSpace(space, {
+        scoring: method.scoring,
+        vectors,
+        exclude: rowIds(excluded),
+        rankOf: [vocabIndex.get(p.b)]
+      });
+      looRank = ranks[0];
+      looScore = scores[0];
+    }
+    const reasons = [];
+    if (cosToRelation < minCos) reasons.push('low-agreement');
+    if (looRank !== null && looRank > maxRank) reasons.push('loo-miss');
+    return {
+      a: p.a,
+      b: p.b,
+      weight: p.weight,
+      cosToRelation,
+      looRank,
+      looScore,
+      flagged: reasons.length > 0,
+      reasons
+    };
+  }));
+
+  const offDiag = [];
+  for (let i = 0; i < units.length; i++) for (let j = i + 1; j < units.length; j++) offDiag.push(similarity[i][j]);
+  return {
+    pairs,
+    similarity,
+    meanPairwiseSimilarity: offDiag.length ? offDiag.reduce((s, x) => s + x, 0) / offDiag.length : null,
+    thresholds: { minCos, maxRank }
+  };
+}
+
+// --- Analogy benchmarks ---
+// Google / BATS style: `: category` headers followed by `a b c d` lines, where
+// `d` may list several accepted answers separated by `/`
+function parseAnalogyFile(raw) {
+  const questions = [];
+  let category = 'default';
+  let malformed = 0;
+  for (const rawLine of raw.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith(':')) {
+      category = line.slice(1).trim() || 'default';
+      continue;
+    }
+    const parts = line.toLowerCase().split(/\s+/);
+    if (parts.length !== 4) {
+      malformed++;
+      continue;
+    }
+    // phrases are written with underscores, e.g. `new_york`
+    const [a, b, c] = parts.map(phraseKey);
+    questions.push({ category, a, b, c, answers: parts[3].split('/').map(phraseKey).filter(Boolean) });
+  }
+  return { questions, malformed };
+}
+
+async function listBenchmarks() {
+  if (!await fs.pathExists(BENCHMARK_DIR)) return [];
+  const entries = await fs.readdir(BENCHMARK_DIR);
+  return entries.filter(f => /\.(txt|tsv)$/i.test(f)).sort();
+}
+
+async function loadBenchmark(file) {
+  const name = path.basename(String(file || ''));
+  if (!name || !(await listBenchmarks()).includes(name)) {
+    throw new BadRequestError(`unknown benchmark file "${file}"`);
+  }
+  return parseAnalogyFile(await fs.readFile(path.join(BENCHMARK_DIR, name), 'utf8'));
+}
+
+const EVAL_CHUNK = 50;
+
+// map over scan-heavy work in chunks so one request cannot fill the worker
+// queue, yielding between chunks to keep the server responsive
+async function mapInChunks(items, fn) {
+  const out = [];
+  for (let n = 0; n < items.length; n += EVAL_CHUNK) {
+    out.push(...await Promise.all(items.slice(n, n + EVAL_CHUNK).map(fn)));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return out;
+}
+
+// run every question through the delta + scoring pipeline used by /api/search
+async function evaluateAnalogies(space, questions, { method = resolveMethod() } = {}) {
+  const skipped = [];
+  const runnable = [];
+  for (const q of questions) {
+    const missing = [q.a, q.b, q.c].filter(w => !vocabIndex.has(w));
+    const answers = q.answers.filter(w => vocabIndex.has(w));
+    if (!answers.length) missing.push(q.answers.join('/'));
+    if (missing.length) skipped.push({ ...q, missing });
+    else runnable.push({ ...q, answers });
+  }
+
+  const words = [...new Set(runnable.flatMap(q => [q.a, q.b, q.c]))];
+  const embs = await embedWords(space, words);
+  const embOf = new Map(words.map((w, i) => [w, embs[i]]));
+
+  const evaluate = async (q) => {
+    const pairEmbs = [{ a: embOf.get(q.a), b: embOf.get(q.b) }];
+    const delta = new Float32Array(pairEmbs[0].a.length);
+    for (let j = 0; j < delta.length; j++) delta[j] = pairEmbs[0].b[j] - pairEmbs[0].a[j];
+    const relation = aggregateDeltas([delta], [1], method);
+    const targetEmb = embOf.get(q.c);
+    const { translated } = applyRelation(space, targetEmb, relation);
+    const { top, ranks } = await scanSpace(space, {
+      scoring: method.scoring,
+      vectors: analogyVectors(method.scoring, { targetEmb, translated, relation, pairEmbs, weights: [1] }),
+      k: 1,
+      exclude: rowIds([q.a, q.b, q.c]),
+      rankOf: q.answers.map(w => vocabIndex.get(w))
+    });
+    return { ...q, rank: Math.min(...ranks), predicted: top.length ? vocab[top[0].id] : null };
+  };
+
+  const results = await mapInChunks(runnable, evaluate);
+
+  const summarize = (list, skippedCount) => {
+    const hits = (limit) => list.length ? list.filter(r => r.rank <= limit).length / list.length : null;
+    return {
+      questions: list.length + skippedCount,
+      evaluated: list.length,
+      skipped: skippedCount,
+      acc1: hits(1),
+      acc5: hits(5),
+      acc10: hits(10)
+    };
+  };
+
+  const categoryNames = [...new Set(questions.map(q => q.category))];
+  const categories = categoryNames.map(name => ({
+    name,
+    ...summarize(results.filter(r => r.category === name), skipped.filter(q => q.category === name).length)
+  }));
+
+  return {
+    overall: summarize(results, skipped.length),
+    categories,
+    results,
+    skipped
+  };
+}
+
+// --- Model / template comparison ---
+function resolveSides(rawSides, defaults) {
+  if (!Array.isArray(rawSides) || rawSides.length < 2) {
+    throw new BadRequestError('sides must be an array of at least two { model, contextTemplate } entries');
+  }
+  if (rawSides.length > MAX_COMPARE_SIDES) {
+    throw new BadRequestError(`too many sides (${rawSides.length} > ${MAX_COMPARE_SIDES})`);
+  }
+  return rawSides.map((side, i) => {
+    const { model = defaults.model, contextTemplate = defaults.contextTemplate, label } = side || {};
+    if (typeof model !== 'string' || typeof contextTemplate !== 'string') {
+      throw new BadRequestError(`sides[${i}]: model and contextTemplate must be strings`);
+    }
+    return { model, contextTemplate, label: typeof label === 'string' && label ? label : `${model} · ${contextTemplate}` };
+  });
+}
+
+// one query run against each side's space: its top k, plus the exact rank of
+// every word any side returned and of the expected answers, so lists can be
+// compared beyond their shared words
+async function compareSides(sides, { pairObjs, target, k, expected, excludeInputs, method, search, filters, build }) {
+  const spaces = [];
+  for (const side of sides) spaces.push(await resolveSpace(side.contextTemplate, { build, model: side.model }));
+
+  const exclude = new Set(excludeInputs ? [...pairObjs.flatMap(p => [p.a, p.b]), target] : []);
+  const runs = await Promise.all(spaces.map(async (space) => {
+    const { pairEmbs, weights, avgDelta } = await computeRelation(space, pairObjs, method);
+    const [targetEmb] = await embedWords(space, [target]);
+    const { translated } = applyRelation(space, targetEmb, avgDelta);
+    const ctx = { targetEmb, translated, relation: avgDelta, pairEmbs, weights };
+    const ranked = await rankAnalogy(space, method, ctx, k, exclude, { search, filters });
+    return { space, ctx, ...ranked };
+  }));
+
+  const expectedIds = rowIds(expected);
+  const unionIds = [...new Set(runs.flatMap(r => r.neighbors.map(n => n.index)))];
+  const rankOf = [...unionIds, ...expectedIds];
+  await Promise.all(runs.map(async (run) => {
+    const { ranks, scores } = await scanSpace(run.space, {
+      scoring: method.scoring,
+      vectors: analogyVectors(method.scoring, run.ctx),
+      exclude: rowIds(exclude),
+      rankOf,
+      allow: filterMask(filters)
+    });
+    run.rankOf = new Map(rankOf.map((id, i) => [id, { rank: ranks[i], score: scores[i] }]));
+  }));
+
+  const topIds = runs.map(r => r.neighbors.map(n => n.index));
+  const overlap = [];
+  for (let a = 0; a < runs.length; a++) {
+    for (let b = a + 1; b < runs.length; b++) {
+      const { onlyA, onlyB, ...metrics } = listOverlap(topIds[a], topIds[b],
+        id => runs[a].rankOf.get(id).rank, id => runs[b].rankOf.get(id).rank);
+      overlap.push({ a, b, ...metrics, onlyA: onlyA.map(id => vocab[id]), onlyB: onlyB.map(id => vocab[id]) });
+    }
+  }
+
+  return {
+    sides: runs.map((run, i) => {
+      const others = new Set(topIds.filter((_, j) => j !== i).flat());
+      return {
+        ...sides[i],
+        model: run.space.meta.model,
+        dim: run.space.meta.dim,
+        matrixTemplate: run.space.meta.contextTemplate,
+        matrixSignature: run.space.meta.signature,
+        search: run.search,
+        neighbors: serializeNeighbors(run.neighbors).map((n, r) => ({ ...n, rank: r + 1, unique: !others.has(run.neighbors[r].index) })),
+        unique: topIds[i].filter(id => !others.has(id)).map(id => vocab[id]),
+        expected: expected.map(word => {
+          const hit = vocabIndex.has(word) ? run.rankOf.get(vocabIndex.get(word)) : null;
+          return { word, inVocab: !!hit, rank: hit ? hit.rank : null, score: hit ? hit.score : null };
+        })
+      };
+    }),
+    overlap
+  };
+}
+
+// --- Seed pair mining ---
+// Other (a, b) pairs of the vocabulary whose delta points the same way as the
+// example pairs: candidate sources are the words nearest to the examples' `a`
+// side, each is translated with the example relation, and its closest words
+// become candidate `b`s, ranked by the cosine between b − a and the relation.
+
+// `pos` side spec: a list of tags, 'auto' for the tags of that side of the
+// examples, or nothing; returns neighbor filters restricting to those tags
+function sidePosFilters(spec, exampleWords, name) {
+  if (spec === undefined || spec === null) return null;
+  let include = spec;
+  if (spec === 'auto') include = [...new Set(exampleWords.flatMap(getPosForWord))];
+  if (!Array.isArray(include) || include.some(t => typeof t !== 'string')) {
+    throw new BadRequestError(`pos.${name} must be an array of POS tags or "auto"`);
+  }
+  return include.length ? resolveFilters({ pos: { include } }) : null;
+}
+
+async function minePairs(space, pairObjs, { k, sources, perSource, minAlignment, method, search, pos = {} }) {
+  const { pairEmbs, weights, avgDelta } = await computeRelation(space, pairObjs, method);
+  const relation = normalizeVec(avgDelta);
+  const sourceFilters = sidePosFilters(pos.a, pairObjs.map(p => p.a), 'a');
+  const targetFilters = sidePosFilters(pos.b, pairObjs.map(p => p.b), 'b');
+  const exampleWords = new Set(pairObjs.flatMap(p => [p.a, p.b]));
+
+  const centroid = normalizeVec(weightedMean(pairEmbs.map(p => p.a), weights));
+  const { neighbors: sourceWords, search: searchInfo } = await nearestNeighbors(space, centroid, sources, exampleWords, { search, filters: sourceFilters });
+
+  const translate = async (source) => {
+    const a = getRow(space, source.index);
+    const { translated } = applyRelation(space, a, avgDelta);
+    const { neighbors } = await nearestNeighbors(space, translated, perSource, new Set([...exampleWords, phraseKey(source.word)]), { search, filters: targetFilters });
+    return neighbors.map((hit, r) => {
+      const b = getRow(space, hit.index);
+      const delta = new Float32Array(a.length);
+      for (let j = 0; j < delta.length; j++) delta[j] = b[j] - a[j];
+      const norm = Math.sqrt(dot(delta, delta)) || 1;
+      return {
+        a: source.word,
+        b: hit.word,
+        alignment: dot(delta, relation) / norm,
+        score: hit.score,
+        rank: r + 1,
+        posA: source.pos,
+        posB: hit.pos
+      };
+    });
+  };
+
+  const candidates = (await mapInChunks(sourceWords, translate)).flat();
+
+  const best = new Map();
+  for (const c of candidates) {
+    if (c.alignment < minAlignment) continue;
+    const key = `${phraseKey(c.a)}\n${phraseKey(c.b)}`;
+    if (!best.has(key) || best.get(key).alignment < c.alignment) best.set(key, c);
+  }
+  return {
+    candidates: [...best.values()].sort((x, y) => y.alignment - x.alignment).slice(0, k),
+    sourcesSearched: sourceWords.length,
+    considered: candidates.length,
+    search: searchInfo
+  };
+}
+
+// --- Relation strength and trajectories ---
+// The translation is target + α · relation. Only 3CosAdd ranks that sum: the
+// other scorings compare against the seed sides or the relation's direction.
+const TRAJECTORY_DEFAULTS = { from: -1, to: 3, steps: 21 };
+
+function scaleRelation(avgDelta, strength) {
+  return strength === 1 ? avgDelta : avgDelta.map(v => v * strength);
+}
+
+function checkStrength(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > MAX_STRENGTH) {
+    throw new BadRequestError(`${name} must be a number in [-${MAX_STRENGTH}, ${MAX_STRENGTH}]`);
+  }
+}
+
+function resolveStrength(strength, method) {
+  checkStrength(strength, 'strength');
+  if (strength !== 1 && method.scoring !== '3cosadd') throw new BadRequestError('strength needs the 3cosadd scoring');
+  return strength;
+}
+
+// `trajectory: true | { from, to, steps }`: α sampled evenly from `from` to `to`
+function resolveTrajectory(raw, method) {
+  if (!raw) return null;
+  const { from, to, steps } = { ...TRAJECTORY_DEFAULTS, ...(raw === true ? {} : raw) };
+  checkStrength(from, 'trajectory.from');
+  checkStrength(to, 'trajectory.to');
+  if (from === to) throw new BadRequestError('trajectory.from and trajectory.to must differ');
+  if (!Number.isInteger(steps) || steps < 2 || steps > MAX_TRAJECTORY_STEPS) {
+    throw new BadRequestError(`trajectory.steps must be an integer in [2, ${MAX_TRAJECTORY_STEPS}]`);
+  }
+  if (method.scoring !== '3cosadd') throw new BadRequestError('trajectory needs the 3cosadd scoring');
+  return { from, to, steps };
+}
+
+// translated vector and nearest row at each α of a trajectory
+async function traceTrajectory(space, targetEmb, avgDelta, { from, to, steps }, exclude, options) {
+  const out = [];
+  for (let i = 0; i < steps; i++) {
+    const alpha = Math.round((from + ((to - from) * i) / (steps - 1)) * 1e6) / 1e6;
+    const { translated } = applyRelation(space, targetEmb, scaleRelation(avgDelta, alpha));
+    const { neighbors: [best] } = await nearestNeighbors(space, translated, 1, exclude, options);
+    out.push({ alpha, vec: translated, best: best || null });
+  }
+  return out;
+}
+
+// --- Round trips and inverse lookup ---
+// A real analogical neighbor should lead back to the target when the relation
+// is reversed; a word that is merely close to the target usually does not.
+
+// the relation reversed: −delta, with the seed sides swapped for 3CosMul
+function reverseRelation({ pairEmbs, weights, avgDelta }) {
+  return {
+    pairEmbs: pairEmbs.map(p => ({ a: p.b, b: p.a })),
+    weights,
+    avgDelta: avgDelta.map(v => -v)
+  };
+}
+
+// translate `fromEmb` with a relation and report where `toEmb` ranks among the
+// vocab rows (not excluded) under the method's scoring, plus the best row
+async function rankStep(space, method, { pairEmbs, weights, avgDelta }, fromEmb, toEmb, exclude) {
+  const { translated } = applyRelation(space, fromEmb, avgDelta);
+  const { top, ranks, scores } = await scanSpace(space, {
+    scoring: method.scoring,
+    vectors: analogyVectors(method.scoring, { targetEmb: fromEmb, translated, relation: avgDelta, pairEmbs, weights }),
+    k: 1,
+    exclude,
+    rankVectors: [normalizeVec(toEmb)]
+  });
+  return { rank: ranks[0], score: scores[0], best: top.length ? vocab[top[0].id] : null };
+}
+
+// for each neighbor, where the target ranks when the reversed relation is
+// applied to it; seeds stay excluded when the forward search excluded them
+async function roundTrips(space, method, relation, target, targetEmb, neighbors, seedWords) {
+  const reversed = reverseRelation(relation);
+  const fixed = rowIds([target, ...seedWords]);
+  return mapInChunks(neighbors, async (n) => {
+    const step = await rankStep(space, method, reversed, getRow(space, n.index), targetEmb, [n.index, ...fixed]);
+    return { rank: step.rank, score: step.score, landsOn: step.rank === 1 ? target : step.best, returns: step.rank === 1 };
+  });
+}
+
+// candidate relations for the inverse lookup: named seed sets from the request
+// and one per benchmark category (its pairs with both words in the vocabulary)
+async function knownRelations({ pairs, relations, benchmarks, maxPairs }) {
+  const known = [];
+  const seeds = toPairObjs(pairs);
+  if (seeds.length) known.push({ name: 'seed pairs', source: 'request', pairObjs: seeds });
+  if (!Array.isArray(relations)) throw new BadRequestError('relations must be an array of { name, pairs }');
+  relations.forEach((r, i) => {
+    const pairObjs = toPairObjs(r?.pairs);
+    if (!pairObjs.length) throw new BadRequestError(`relations[${i}] has no valid pairs`);
+    known.push({ name: typeof r.name === 'string' && r.name ? r.name : `relation ${i + 1}`, source: 'request', pairObjs });
+  });
+  const files = benchmarks === true ? await listBenchmarks() : (Array.isArray(benchmarks) ? benchmarks : []);
+  for (const file of files) {
+    const { questions } = await loadBenchmark(file);
+    const byCategory = new Map();
+    for (const q of questions) {
+      if (!byCategory.has(q.category)) byCategory.set(q.category, new Map());
+      const pairMap = byCategory.get(q.category);
+      for (const [a, b] of [[q.a, q.b], [q.c, q.answers[0]]]) {
+        if (b && vocabIndex.has(a) && vocabIndex.has(b) && pairMap.size < maxPairs) pairMap.set(`${a}\n${b}`, { a, b, weight: 1 });
+      }
+    }
+    for (const [category, pairMap] of byCategory) {
+      if (pairMap.size) known.push({ name: category, source: 'benchmark', file: path.basename(file), pairObjs: [...pairMap.values()] });
+    }
+  }
+  return known;
+}
+
+// which known relation best explains the step target → result: the rank of
+// `result` when the target is translated with it, the rank of the target on
+// the way back, and the cosine between result − target and the relation
+async function explainStep(space, method, known, target, result) {
+  const [targetEmb, resultEmb] = await embedWords(space, [target, result]);
+  const step = new Float32Array(targetEmb.length);
+  for (let j = 0; j < step.length; j++) step[j] = resultEmb[j] - targetEmb[j];
+  const stepNorm = Math.sqrt(dot(step, step)) || 1;
+  const exclude = rowIds([target, result]);
+
+  const explained = await mapInChunks(known, async (rel) => {
+    const relation = await computeRelation(space, rel.pairObjs, method);
+    const relNorm = Math.sqrt(dot(relation.avgDelta, relation.avgDelta)) || 1;
+    const forward = await rankStep(space, method, relation, targetEmb, resultEmb, exclude);
+    const back = await rankStep(space, method, reverseRelation(relation), resultEmb, targetEmb, exclude);
+    return {
+      name: rel.name,
+      source: rel.source,
+      file: rel.file,
+      pairs: rel.pairObjs.length,
+      alignment: dot(step, relation.avgDelta) / (stepNorm * relNorm),
+      forward: { rank: forward.rank, score: forward.score, predicted: forward.rank === 1 ? result : forward.best },
+      back: { rank: back.rank, score: back.score, landsOn: back.rank === 1 ? target : back.best },
+      roundTrip: forward.rank === 1 && back.rank === 1
+    };
+  });
+  return explained.sort((x, y) => (x.forward.rank + x.back.rank) - (y.forward.rank + y.back.rank) || y.alignment - x.alignment);
+}
+
+function serializeNeighbors(neighbors) {
+  return neighbors.map(n => ({
+    word: n.word,
+    score: n.score,
+    pos: Array.isArray(n.pos) ? n.pos : getPosForWord(n.word)
+  }));
+}
+
+// --- Saved experiments ---
+const EXPERIMENT_NAME_MAX = 200;
+const EXPERIMENT_NOTES_MAX = 10000;
+const EXPERIMENT_TAGS_MAX = 20;
+
+// validated name / tags / notes of a create or update request; tags may be a
+// list or a comma separated string and are trimmed and deduplicated
+function experimentFields({ name, tags, notes }) {
+  const fields = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.length > EXPERIMENT_NAME_MAX) {
+      throw new BadRequestError(`name must be a string of at most ${EXPERIMENT_NAME_MAX} characters`);
+    }
+    fields.name = name.trim();
+  }
+  if (tags !== undefined) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(t => typeof t !== 'string')) {
+      throw new BadRequestError('tags must be an array of strings or a comma separated string');
+    }
+    fields.tags = [...new Set(list.map(t => t.trim()).filter(Boolean))];
+    if (fields.tags.length > EXPERIMENT_TAGS_MAX) throw new BadRequestError(`at most ${EXPERIMENT_TAGS_MAX} tags`);
+  }
+  if (notes !== undefined) {
+    if (typeof notes !== 'string' || notes.length > EXPERIMENT_NOTES_MAX) {
+      throw new BadRequestError(`notes must be a string of at most ${EXPERIMENT_NOTES_MAX} characters`);
+    }
+    fields.notes = notes;
+  }
+  return fields;
+}
+
+function defaultExperimentName(request) {
+  const pairs = toPairObjs(request.pairs).map(p => `${p.a} → ${p.b}`);
+  const shown = pairs.slice(0, 3).join(', ') + (pairs.length > 3 ? ', …' : '');
+  return `${request.target ?? ''} with ${shown || 'no pairs'}`;
+}
+
+// --- Lifecycle ---
+export async function init() {
+  await fs.ensureDir(CACHE_DIR);
+  await fs.ensureDir(MATRIX_DIR);
+  await fs.ensureDir(DATA_DIR);
+  await migrateLegacyCache();
+}
+
+// stop the worker threads (pending tasks are rejected)
+export async function close() {
+  if (pool) await pool.close();
+}
+
+// --- Operations ---
+// health + metadata
+export function status() {
+  const space = activeSpace();
+  return {
+    ready: !!space,
+    vocabSize: vocab.length || 0,
+    dim: space ? space.meta.dim : models.get(MODEL_ID).dim,
+    model: space ? space.meta.model : MODEL_ID,
+    defaultModel: MODEL_ID,
+    models: [...models.values()].map(serializeModel),
+    cacheDir: CACHE_DIR,
+    dtype: space ? space.meta.dtype : MATRIX_DTYPE,
+    matrixBytes: space ? space.matrix.bytes : 0,
+    contextTemplate: space ? space.meta.contextTemplate : null,
+    workers: pool ? pool.stats() : null,
+    embeddingCache: { vocabRowHits, ...embeddingCache.stats() },
+    builds: [...builds.values()].filter(job => job.state === 'building').map(serializeBuild)
+  };
+}
+
+// (re)build cache on demand with (optional) template / model change
+export async function rebuild(body = {}) {
+  const { contextTemplate = '{w}', model = MODEL_ID } = body;
+  const space = await buildOrLoadEmbeddingMatrix(contextTemplate, model);
+  return {
+    ok: true,
+    vocabSize: vocab.length,
+    dim: space.meta.dim,
+    model: space.meta.model,
+    contextTemplate: space.meta.contextTemplate,
+    signature: space.meta.signature
+  };
+}
+
+// cached matrices, most recently used first
+export async function cacheReport() {
+  const entries = await listCacheEntries();
+  return {
+    entries,
+    totalBytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+    active: activeSignature,
+    limits: { maxBytes: CACHE_MAX_BYTES, maxEntries: CACHE_MAX_ENTRIES, maxLoaded: MAX_LOADED_MATRICES }
+  };
+}
+
+// LRU eviction down to the configured (or given) limits
+export async function evictCache(body = {}) {
+  const { maxBytes = CACHE_MAX_BYTES, maxEntries = CACHE_MAX_ENTRIES } = body;
+  const evicted = await evictCacheEntries({ maxBytes: Number(maxBytes) || 0, maxEntries: Number(maxEntries) || 0 });
+  return { ok: true, evicted };
+}
+
+export async function deleteCache(signature) {
+  const meta = await deleteCacheEntry(signature);
+  return { ok: true, deleted: meta.signature };
+}
+
+// matrix builds started in the background, for polling
+export function buildReport() {
+  return { builds: [...builds.values()].map(serializeBuild) };
+}
+
+// null for an unknown signature
+export function buildStatus(signature) {
+  const job = builds.get(signature);
+  return job ? serializeBuild(job) : null;
+}
+
+// ANN index state of the loaded matrices
+export function indexReport() {
+  return {
+    mode: ANN_INDEX,
+    minVocab: ANN_MIN_VOCAB,
+    indexes: [...loadedMatrices.values()].map(space => ({
+      signature: space.meta.signature,
+      contextTemplate: space.meta.contextTemplate,
+      n: space.meta.n,
+      ...indexStatus(space)
+    }))
+  };
+}
+
+// build (or load) the ANN index for a template's matrix in the background
+export async function startIndex(body = {}) {
+  const { contextTemplate = '{w}', model = MODEL_ID } = body;
+  const space = await resolveSpace(contextTemplate, { model });
+  buildIndex(space).catch(() => {});
+  return {
+    signature: space.meta.signature,
+    contextTemplate,
+    ...indexStatus(space)
+  };
+}
+
+// recall@k of the ANN index against exact search, using sampled vocab rows
+// (lightly perturbed, so the query itself is not trivially found) as queries
+export async function indexRecall(body = {}) {
+  const { contextTemplate = '{w}', model = MODEL_ID, samples = 100, k = 10, ef = ANN_EF_SEARCH, noise = 0.05 } = body;
+  const kk = resolveK(k);
+  const efSearch = Number(ef);
+  if (!Number.isInteger(efSearch) || efSearch < 1 || efSearch > ANN_MAX_CANDIDATES) {
+    throw new BadRequestError(`ef must be an integer in [1, ${ANN_MAX_CANDIDATES}]`);
+  }
+  const spread = Number(noise);
+  if (!Number.isFinite(spread) || spread < 0 || spread > 1) {
+    throw new BadRequestError('noise must be a number in [0, 1]');
+  }
+  const space = await resolveSpace(contextTemplate, { model });
+  if (!space.index) throw new BadRequestError('no ANN index ready for this template');
+  const n = Math.max(1, Math.min(Number(samples) || 100, 1000));
+  let seed = 12345;
+  const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+  let hits = 0;
+  let exactMs = 0;
+  let annMs = 0;
+  for (let s = 0; s < n; s++) {
+    const row = getRow(space, Math.floor(random() * space.meta.n));
+    const q = normalizeVec(row.map(x => x + (random() - 0.5) * 2 * spread));
+    let t0 = performance.now();
+    const exact = (await scanSpace(space, { vectors: { translated: q }, k: kk })).top;
+    exactMs += performance.now() - t0;
+    t0 = performance.now();
+    const approx = space.index.search(q, kk, Math.max(efSearch, kk));
+    annMs += performance.now() - t0;
+    const truth = new Set(exact.map(x => x.id));
+    hits += approx.filter(x => truth.has(x.id)).length;
+  }
+  return {
+    signature: space.meta.signature,
+    samples: n,
+    k: kk,
+    ef: Math.max(efSearch, kk),
+    recall: hits / (n * kk),
+    exactMsPerQuery: exactMs / n,
+    annMsPerQuery: annMs / n
+  };
+}
+
+// global projection basis of a template's matrix: fit (or load) it and return
+// its metadata with the mean and axis vectors
+export async function projectionBasis(body = {}) {
+  const { contextTemplate = '{w}', model = MODEL_ID, build = 'reject' } = body;
+  const space = await resolveSpace(contextTemplate, { build, model });
+  return describeBasis(await ensureBasis(space), { full: true });
+}
+
+// main search: a relation from seed pairs applied to one target, with the
+// chart points, pair diagnostics and optional round trips
+export async function search(body = {}) {
+  const {
+    pairs = [['garden','gardening'], ['belief','believing'], ['fight','fighting']],
+    target: rawTarget = 'work',
+    k: rawK = DEFAULT_K,
+    contextTemplate = '{w}',
+    includeSeeds = true,
+    excludeInputs = true,
+    method: rawMethod,
+    diagnostics: diagOptions = true,
+    build = 'reject',
+    search = 'auto',
+    filters: rawFilters,
+    model = MODEL_ID,
+    projection: rawProjection,
+    roundTrip = false,
+    strength: rawStrength = 1,
+    trajectory: rawTrajectory
+  } = body;
+  const k = resolveK(rawK);
+  const method = resolveMethod(rawMethod);
+  const filters = resolveFilters(rawFilters);
+  const projection = resolveProjection(rawProjection);
+  const strength = resolveStrength(rawStrength, method);
+  const trajectory = resolveTrajectory(rawTrajectory, method);
+  const target = phraseKey(rawTarget);
+  if (!target) throw new BadRequestError('target must be a non-empty word or phrase');
+
+  // vocab matrix built with the same model and template as the seeds and target
+  const space = await resolveSpace(contextTemplate, { build, model });
+
+  // embed pairs and target with context template
+  const pairObjs = toPairObjs(pairs);
+  const { pairEmbs, deltas, weights, avgDelta } = await computeRelation(space, pairObjs, method);
+  const [targetEmb] = await embedWords(space, [target]);
+  const relation = scaleRelation(avgDelta, strength);
+  const { transformed, translated } = applyRelation(space, targetEmb, relation);
+
+  // knn among vocab, ranked with the requested analogy scoring
+  const seedWords = pairObjs.flatMap(p => [p.a, p.b]);
+  const excludeSet = new Set(excludeInputs ? [...seedWords, target] : []);
+  const { neighbors, search: searchInfo } = await rankAnalogy(space, method, {
+    targetEmb, translated, relation, pairEmbs, weights
+  }, k, excludeSet, { search, filters });
+
+  // nearest word along target + α · relation; the target itself is kept, so
+  // the path starts there
+  const waypoints = trajectory
+    ? await traceTrajectory(space, targetEmb, avgDelta, trajectory, new Set(excludeInputs ? seedWords : []), { search, filters })
+    : [];
+
+  // reverse the relation from the first `limit` neighbors
+  let trips = [];
+  const tripLimit = roundTrip ? Number(roundTrip.limit ?? ROUND_TRIP_LIMIT) : 0;
+  if (roundTrip && (!Number.isInteger(tripLimit) || tripLimit < 1 || tripLimit > DEFAULT_K)) {
+    throw new BadRequestError(`roundTrip.limit must be an integer in [1, ${DEFAULT_K}]`);
+  }
+  if (tripLimit && pairObjs.length) {
+    trips = await roundTrips(space, method, { pairEmbs, weights, avgDelta: relation }, target, targetEmb,
+      neighbors.slice(0, tripLimit), excludeInputs ? seedWords : []);
+  }
+
+  const diagnostics = diagOptions && pairObjs.length
+    ? await pairDiagnostics({
+      space, pairObjs, pairEmbs, deltas, weights, avgDelta, method, excludeInputs,
+      options: typeof diagOptions === 'object' ? diagOptions : {}
+    })
+    : null;
+
+  // assemble points for the 3D projection
+  const pPoints = [];
+  const seedLinks = [];
+
+  // neighbors
+  for (const n of neighbors) {
+    pPoints.push({
+      id: `neighbor:${n.word}`,
+      label: n.word,
+      kind: 'neighbor',
+      vec: getRow(space, n.index),
+      pos: Array.isArray(n.pos) ? n.pos : getPosForWord(n.word)
+    });
+  }
+
+  // target & predicted
+  pPoints.push({ id: 'target', label: target, kind: 'target', vec: targetEmb });
+  pPoints.push({ id: 'predicted', label: `${target}*`, kind: 'predicted', vec: translated });
+  waypoints.forEach((w, i) => {
+    pPoints.push({ id: `waypoint:${i}`, label: w.best ? w.best.word : `α ${w.alpha}`, kind: 'waypoint', vec: w.vec });
+  });
+
+  // seeds
+  if (includeSeeds) {
+    for (let i = 0; i < pairObjs.length; i++) {
+      const a = pairObjs[i].a;
+      const b = pairObjs[i].b;
+      const aEmb = pairEmbs[i].a;
+      const bEmb = pairEmbs[i].b;
+      const fromId = `seed:${a}`;
+      const toId = `seed:${b}`;
+      pPoints.push({ id: fromId, label: a, kind: 'seedFrom', vec: aEmb });
+      pPoints.push({ id: toId,   label: b, kind: 'seedTo',   vec: bEmb });
+      seedLinks.push({
+        id: `pair:${i}`,
+        fromId,
+        toId,
+        fromLabel: a,
+        toLabel: b
+      });
+    }
+  }
+
+  const layout = await projectChart(space, pPoints, projection, avgDelta);
+
+  return {
+    avgDelta: Array.from(avgDelta),
+    targetEmbedding: Array.from(targetEmb),
+    transformed: Array.from(translated),
+    transformedRaw: Array.from(transformed),
+    neighbors: serializeNeighbors(neighbors).map((n, i) => (i < trips.length ? { ...n, roundTrip: trips[i] } : n)),
+    points: serializePoints(pPoints, neighbors),
+    seedLinks: serializeLinks(pPoints, seedLinks),
+    explainedVariance: layout.explainedVariance,
+    projection: {
+      method: layout.method,
+      requested: layout.requested,
+      axes: layout.axes,
+      explainedVariance: layout.explainedVariance,
+      diagnostics: layout.diagnostics,
+      basis: layout.basis
+    },
+    diagnostics,
+    trajectory: trajectory ? {
+      ...trajectory,
+      steps: waypoints.map(w => ({ alpha: w.alpha, ...(w.best ? serializeNeighbors([w.best])[0] : { word: null, score: null, pos: [] }) }))
+    } : null,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      k,
+      method,
+      strength,
+      search: searchInfo,
+      filters: describeFilters(filters),
+      roundTrip: trips.length ? {
+        checked: trips.length,
+        returned: trips.filter(t => t.returns).length,
+        within5: trips.filter(t => t.rank <= 5).length
+      } : null,
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature
+    }
+  };
+}
+
+// inverse lookup: which known relation (request seed sets, benchmark
+// categories) best explains the step from `target` to an observed `result`
+export async function inverse(body = {}) {
+  const {
+    target: rawTarget,
+    result: rawResult,
+    pairs = [],
+    relations = [],
+    benchmarks = true,
+    maxPairs = 50,
+    k: rawK = 20,
+    contextTemplate = '{w}',
+    method: rawMethod,
+    build = 'reject',
+    model = MODEL_ID
+  } = body;
+  const k = resolveK(rawK);
+  const method = resolveMethod(rawMethod);
+  const target = typeof rawTarget === 'string' ? phraseKey(rawTarget) : '';
+  const result = typeof rawResult === 'string' ? phraseKey(rawResult) : '';
+  if (!target || !result) throw new BadRequestError('target and result must be non-empty words or phrases');
+  const pairCap = Number(maxPairs);
+  if (!Number.isInteger(pairCap) || pairCap < 1) throw new BadRequestError('maxPairs must be a positive integer');
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+  const known = await knownRelations({ pairs, relations, benchmarks, maxPairs: pairCap });
+  if (!known.length) throw new BadRequestError('no known relations: pass pairs, relations or benchmark files');
+  if (known.length > MAX_INVERSE_RELATIONS) {
+    throw new BadRequestError(`too many relations (${known.length} > ${MAX_INVERSE_RELATIONS})`);
+  }
+
+  const started = Date.now();
+  const explained = await explainStep(space, method, known, target, result);
+  return {
+    target,
+    result,
+    relations: explained.slice(0, k),
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      method,
+      considered: known.length,
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature,
+      ms: Date.now() - started
+    }
+  };
+}
+
+// one relation applied to many targets, with a flat table of the results
+export async function batch(body = {}) {
+  const {
+    pairs = [],
+    targets = [],
+    k: rawK = 10,
+    contextTemplate = '{w}',
+    excludeInputs = true,
+    method: rawMethod,
+    build = 'reject',
+    search = 'auto',
+    filters: rawFilters,
+    model = MODEL_ID,
+    strength: rawStrength = 1
+  } = body;
+  const k = resolveK(rawK);
+  const method = resolveMethod(rawMethod);
+  const filters = resolveFilters(rawFilters);
+  const strength = resolveStrength(rawStrength, method);
+
+  const targetList = Array.isArray(targets)
+    ? [...new Set(targets.filter(t => typeof t === 'string').map(phraseKey).filter(Boolean))]
+    : [];
+  if (!targetList.length) {
+    throw new BadRequestError('targets must be a non-empty array of words');
+  }
+  if (targetList.length > MAX_BATCH_TARGETS) {
+    throw new BadRequestError(`too many targets (${targetList.length} > ${MAX_BATCH_TARGETS})`);
+  }
+  const pairObjs = toPairObjs(pairs);
+  if (!pairObjs.length) {
+    throw new BadRequestError('at least one seed pair is required');
+  }
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+
+  // the relation is computed once and shared by every target
+  const { pairEmbs, weights, avgDelta } = await computeRelation(space, pairObjs, method);
+  const relation = scaleRelation(avgDelta, strength);
+  const targetEmbs = await embedWords(space, targetList);
+  const seedWords = pairObjs.flatMap(p => [p.a, p.b]);
+
+  const results = [];
+  const table = [];
+  let searchInfo = null;
+  for (let t = 0; t < targetList.length; t++) {
+    const target = targetList[t];
+    const { translated } = applyRelation(space, targetEmbs[t], relation);
+    const excludeSet = new Set(excludeInputs ? [...seedWords, target] : []);
+    const ranked = await rankAnalogy(space, method, {
+      targetEmb: targetEmbs[t], translated, relation, pairEmbs, weights
+    }, k, excludeSet, { search, filters });
+    searchInfo = ranked.search;
+    const neighbors = serializeNeighbors(ranked.neighbors);
+    results.push({ target, neighbors });
+    neighbors.forEach((n, rank) => {
+      table.push({ target, rank: rank + 1, word: n.word, score: n.score, pos: n.pos });
+    });
+  }
+
+  return {
+    avgDelta: Array.from(avgDelta),
+    results,
+    table,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      k,
+      pairs: pairObjs.length,
+      targets: targetList.length,
+      method,
+      strength,
+      search: searchInfo,
+      filters: describeFilters(filters),
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature
+    }
+  };
+}
+
+// plain nearest vocab words of each given word or phrase, no relation applied
+export async function neighbors(body = {}) {
+  const {
+    words = [],
+    k: rawK = 10,
+    contextTemplate = '{w}',
+    excludeInputs = true,
+    build = 'reject',
+    search = 'auto',
+    filters: rawFilters,
+    model = MODEL_ID
+  } = body;
+  const k = resolveK(rawK);
+  const filters = resolveFilters(rawFilters);
+  if (!SEARCH_MODES.includes(search)) throw new BadRequestError(`search must be one of ${SEARCH_MODES.join(', ')}`);
+
+  const wordList = Array.isArray(words)
+    ? [...new Set(words.filter(w => typeof w === 'string').map(phraseKey).filter(Boolean))]
+    : [];
+  if (!wordList.length) throw new BadRequestError('words must be a non-empty array of words');
+  if (wordList.length > MAX_BATCH_TARGETS) {
+    throw new BadRequestError(`too many words (${wordList.length} > ${MAX_BATCH_TARGETS})`);
+  }
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+  const embs = await embedWords(space, wordList);
+
+  const results = [];
+  const table = [];
+  let searchInfo = null;
+  for (let w = 0; w < wordList.length; w++) {
+    const word = wordList[w];
+    const q = space.meta.normalized ? normalizeVec(embs[w]) : embs[w];
+    const found = await nearestNeighbors(space, q, k, new Set(excludeInputs ? [word] : []), { search, filters });
+    searchInfo = found.search;
+    const list = serializeNeighbors(found.neighbors);
+    results.push({ word, neighbors: list });
+    list.forEach((n, rank) => {
+      table.push({ word, rank: rank + 1, neighbor: n.word, score: n.score, pos: n.pos });
+    });
+  }
+
+  return {
+    results,
+    table,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      k,
+      words: wordList.length,
+      search: searchInfo,
+      filters: describeFilters(filters),
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature
+    }
+  };
+}
+
+// nearest vocab words of a vector expression over word embeddings
+// (`king - man + woman`, `work + [garden → gardening]`, see lib/expression.js),
+// in the response shape of `search`. Bracketed relations are aggregated with
+// `method` like seed pairs; the expression's words are plotted as targets.
+export async function expression(body = {}) {
+  const {
+    expression: text,
+    k: rawK = DEFAULT_K,
+    contextTemplate = '{w}',
+    includeSeeds = true,
+    excludeInputs = true,
+    method: rawMethod,
+    build = 'reject',
+    search = 'auto',
+    filters: rawFilters,
+    model = MODEL_ID,
+    projection: rawProjection
+  } = body;
+  if (typeof text !== 'string' || !text.trim()) throw new BadRequestError('expression must be a non-empty string');
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new BadRequestError(`expression is too long (${text.length} > ${MAX_EXPRESSION_LENGTH} characters)`);
+  }
+  if (!SEARCH_MODES.includes(search)) throw new BadRequestError(`search must be one of ${SEARCH_MODES.join(', ')}`);
+  const k = resolveK(rawK);
+  const method = resolveMethod(rawMethod);
+  const filters = resolveFilters(rawFilters);
+  const projection = resolveProjection(rawProjection);
+  let tree;
+  try {
+    tree = parseExpression(text);
+  } catch (e) {
+    if (e instanceof ExpressionError) throw new BadRequestError(`invalid expression: ${e.message}`);
+    throw e;
+  }
+  const inputs = expressionInputs(tree);
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+
+  const words = [...new Set(inputs.words.map(phraseKey))];
+  const embs = await embedWords(space, words);
+  const wordVecs = new Map(words.map((w, i) => [w, embs[i]]));
+  const relations = new Map();
+  for (const node of inputs.relations) {
+    const pairObjs = toPairObjs(node.pairs);
+    relations.set(node, { pairObjs, ...await computeRelation(space, pairObjs, method) });
+  }
+  const raw = evaluateExpression(tree, {
+    word: (w) => wordVecs.get(phraseKey(w)),
+    relation: (node) => relations.get(node).avgDelta
+  });
+  if (raw.every(x => x === 0)) throw new BadRequestError('expression evaluates to the zero vector');
+  const translated = space.meta.normalized ? normalizeVec(raw) : raw;
+
+  const pairObjs = [...relations.values()].flatMap(r => r.pairObjs);
+  const excludeSet = new Set(excludeInputs ? [...words, ...pairObjs.flatMap(p => [p.a, p.b])] : []);
+  const { neighbors, search: searchInfo } = await nearestNeighbors(space, translated, k, excludeSet, { search, filters });
+
+  // chart: neighbors, the expression's words, its result and the relation pairs
+  const formatted = formatExpression(tree);
+  const pPoints = neighbors.map(n => ({
+    id: `neighbor:${n.word}`,
+    label: n.word,
+    kind: 'neighbor',
+    vec: getRow(space, n.index),
+    pos: Array.isArray(n.pos) ? n.pos : getPosForWord(n.word)
+  }));
+  words.forEach((w, i) => pPoints.push({ id: `word:${w}`, label: w, kind: 'target', vec: embs[i] }));
+  pPoints.push({ id: 'predicted', label: formatted.length <= 40 ? formatted : 'result', kind: 'predicted', vec: translated });
+  const seedLinks = [];
+  if (includeSeeds) {
+    const plotted = new Set();
+    for (const { pairObjs: pairs, pairEmbs } of relations.values()) {
+      pairs.forEach(({ a, b }, i) => {
+        const fromId = `seed:${a}`;
+        const toId = `seed:${b}`;
+        if (!plotted.has(fromId)) pPoints.push({ id: fromId, label: a, kind: 'seedFrom', vec: pairEmbs[i].a });
+        if (!plotted.has(toId)) pPoints.push({ id: toId, label: b, kind: 'seedTo', vec: pairEmbs[i].b });
+        plotted.add(fromId).add(toId);
+        seedLinks.push({ id: `pair:${seedLinks.length}`, fromId, toId, fromLabel: a, toLabel: b });
+      });
+    }
+  }
+
+  // the relation-aligned projection follows the first bracketed relation
+  const firstRelation = relations.values().next().value;
+  const layout = await projectChart(space, pPoints, projection, firstRelation ? firstRelation.avgDelta : null);
+
+  return {
+    expression: formatted,
+    transformed: Array.from(translated),
+    transformedRaw: Array.from(raw),
+    neighbors: serializeNeighbors(neighbors),
+    points: serializePoints(pPoints, neighbors),
+    seedLinks: serializeLinks(pPoints, seedLinks),
+    explainedVariance: layout.explainedVariance,
+    projection: {
+      method: layout.method,
+      requested: layout.requested,
+      axes: layout.axes,
+      explainedVariance: layout.explainedVariance,
+      diagnostics: layout.diagnostics,
+      basis: layout.basis
+    },
+    diagnostics: null,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      k,
+      expression: formatted,
+      words: words.length,
+      relations: relations.size,
+      method,
+      search: searchInfo,
+      filters: describeFilters(filters),
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature
+    }
+  };
+}
+
+// one pairs / target query run through several models or templates, with
+// neighbor lists side by side and overlap metrics for every pair of sides
+export async function compare(body = {}) {
+  const {
+    pairs = [],
+    target: rawTarget,
+    expected: rawExpected = [],
+    sides: rawSides,
+    k: rawK = 20,
+    contextTemplate = '{w}',
+    excludeInputs = true,
+    method: rawMethod,
+    build = 'reject',
+    search = 'auto',
+    filters: rawFilters,
+    model = MODEL_ID
+  } = body;
+  const topK = resolveK(rawK);
+  const method = resolveMethod(rawMethod);
+  const filters = resolveFilters(rawFilters);
+  const sides = resolveSides(rawSides, { model, contextTemplate });
+  const target = typeof rawTarget === 'string' ? phraseKey(rawTarget) : '';
+  if (!target) throw new BadRequestError('target must be a non-empty word or phrase');
+  const expected = [...new Set((Array.isArray(rawExpected) ? rawExpected : [rawExpected])
+    .filter(w => typeof w === 'string').map(phraseKey).filter(Boolean))];
+  const pairObjs = toPairObjs(pairs);
+  if (!pairObjs.length) throw new BadRequestError('at least one seed pair is required');
+
+  const report = await compareSides(sides, { pairObjs, target, k: topK, expected, excludeInputs, method, search, filters, build });
+  return {
+    target,
+    expected,
+    ...report,
+    meta: {
+      vocabSize: vocab.length,
+      k: topK,
+      pairs: pairObjs.length,
+      method,
+      filters: describeFilters(filters)
+    }
+  };
+}
+
+// mine more seed pairs that follow the relation of one or more example pairs
+export async function mine(body = {}) {
+  const {
+    pairs = [],
+    k = 20,
+    sources = 300,
+    perSource = 3,
+    minAlignment = -1,
+    pos,
+    contextTemplate = '{w}',
+    method: rawMethod,
+    build = 'reject',
+    search = 'auto',
+    model = MODEL_ID
+  } = body;
+  const method = resolveMethod(rawMethod);
+  const pairObjs = toPairObjs(pairs);
+  if (!pairObjs.length) throw new BadRequestError('at least one example pair is required');
+  const int = (value, name, max) => {
+    const x = Number(value);
+    if (!Number.isInteger(x) || x < 1 || x > max) throw new BadRequestError(`${name} must be an integer in [1, ${max}]`);
+    return x;
+  };
+  const options = {
+    k: resolveK(k),
+    sources: int(sources, 'sources', MINE_MAX_SOURCES),
+    perSource: int(perSource, 'perSource', 20),
+    minAlignment: Number(minAlignment),
+    method,
+    search,
+    pos: pos && typeof pos === 'object' ? pos : {}
+  };
+  if (!Number.isFinite(options.minAlignment)) throw new BadRequestError('minAlignment must be a number');
+  if (!SEARCH_MODES.includes(search)) throw new BadRequestError(`search must be one of ${SEARCH_MODES.join(', ')}`);
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+  const started = Date.now();
+  const { candidates, sourcesSearched, considered, search: searchInfo } = await minePairs(space, pairObjs, options);
+  return {
+    examples: pairObjs,
+    candidates,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      k: options.k,
+      sources: sourcesSearched,
+      perSource: options.perSource,
+      considered,
+      method,
+      search: searchInfo,
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature,
+      ms: Date.now() - started
+    }
+  };
+}
+
+// analogy benchmark files available under BENCHMARK_DIR
+export async function benchmarks() {
+  return { files: await listBenchmarks() };
+}
+
+// evaluate a benchmark file with the current matrix and relation method
+export async function evaluate(body = {}) {
+  const {
+    file,
+    contextTemplate = '{w}',
+    method: rawMethod,
+    limit = EVAL_MAX_QUESTIONS,
+    build = 'reject',
+    model = MODEL_ID
+  } = body;
+  const method = resolveMethod(rawMethod);
+  const { questions, malformed } = await loadBenchmark(file);
+  const max = Math.max(1, Math.min(Number(limit) || EVAL_MAX_QUESTIONS, EVAL_MAX_QUESTIONS));
+
+  const space = await resolveSpace(contextTemplate, { build, model });
+
+  const started = Date.now();
+  const report = await evaluateAnalogies(space, questions.slice(0, max), { method });
+  return {
+    file: path.basename(file),
+    ...report,
+    meta: {
+      vocabSize: vocab.length,
+      dim: space.meta.dim,
+      model: space.meta.model,
+      method,
+      contextTemplate,
+      matrixTemplate: space.meta.contextTemplate,
+      matrixSignature: space.meta.signature,
+      totalQuestions: questions.length,
+      truncated: questions.length > max,
+      malformed,
+      ms: Date.now() - started
+    }
+  };
+}
+
+// save a search as an experiment: the request as sent to search(), and its
+// response snapshot. Without a `result` the search is run here.
+export async function saveExperiment(body = {}) {
+  const { request, result: given, ...rest } = body;
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    throw new BadRequestError('request must be the search request object');
+  }
+  if (typeof request.target !== 'string' || !Array.isArray(request.pairs)) {
+    throw new BadRequestError('request needs a target and pairs');
+  }
+  if (given !== undefined && (!given || !Array.isArray(given.neighbors))) {
+    throw new BadRequestError('result must be a search response');
+  }
+  const fields = experimentFields(rest);
+  // a background build is not something to replay later
+  const { build, format, ...saved } = request;
+  const result = given ?? await search(saved);
+  const record = await experiments.create({
+    name: fields.name || defaultExperimentName(saved),
+    tags: fields.tags ?? [],
+    notes: fields.notes ?? '',
+    request: saved,
+    result
+  });
+  return summarize(record);
+}
+
+// experiment summaries, newest first: `tag` keeps those with that tag, `q`
+// matches the name, notes, target, first seed pairs and top neighbors
+export async function listExperiments(body = {}) {
+  const { tag, q, limit = 100 } = body;
+  const max = Math.floor(Number(limit));
+  if (!(max >= 1)) throw new BadRequestError('limit must be a positive integer');
+  const all = await experiments.list();
+  const tagCounts = new Map();
+  for (const e of all) for (const t of e.tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
+
+  let found = all;
+  if (tag) found = found.filter(e => e.tags.includes(tag));
+  if (q) {
+    const needle = String(q).toLowerCase();
+    found = found.filter(e => [e.name, e.notes, e.target, ...e.seeds, ...e.top].some(text => String(text ?? '').toLowerCase().includes(needle)));
+  }
+  return {
+    experiments: found.slice(0, max),
+    total: found.length,
+    tags: [...tagCounts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  };
+}
+
+export async function getExperiment(id) {
+  const record = await experiments.get(id);
+  if (!record) throw new NotFoundError(`unknown experiment "${id}"`);
+  return record;
+}
+
+// change the name, tags or notes of an experiment
+export async function updateExperiment(id, body = {}) {
+  const record = await experiments.update(id, experimentFields(body));
+  if (!record) throw new NotFoundError(`unknown experiment "${id}"`);
+  return summarize(record);
+}
+
+export async function deleteExperiment(id) {
+  if (!await experiments.remove(id)) throw new NotFoundError(`unknown experiment "${id}"`);
+  return { ok: true, deleted: id };
+}
@@ -0,0 +1,55 @@
+// Sentence-embedding pipeline returning one pooled, normalized Float32Array
+// per text. Used in-process, or by each worker thread of the pool. The
+// transformers runtime is imported on first use, so code that imports
+// core.js without embedding (request validation, tests) does not load it.
+
+export async function loadEmbedder(modelId) {
+  const { pipeline, env } = await import('@xenova/transformers');
+  // TRANSFORMERS_OFFLINE=1 only uses models already downloaded to the local
+  // transformers cache (TRANSFORMERS_CACHE overrides where that is)
+  if (process.env.TRANSFORMERS_CACHE) env.cacheDir = process.env.TRANSFORMERS_CACHE;
+  if (process.env.TRANSFORMERS_OFFLINE === '1') env.allowRemoteModels = false;
+  console.log(`[model] loading ${modelId}…`);
+  const pipe = await pipeline('feature-extraction', modelId, { quantized: true });
+  // We request pooled + normalized vectors so we can use dot() for cosine
+  const test = await pipe('test', { pooling: 'mean', normalize: true });
+  const dim = test.data ? test.data.length : test.length; // supports Tensor or plain array
+  console.log(`[model] ready, dim=${dim}`);
+
+  const toVec = (x) => {
+    if (x?.data) return (x.data instanceof Float32Array) ? x.data : Float32Array.from(x.data);
+    if (x instanceof Float32Array) return x;
+    if (Array.isArray(x)) return Float32Array.from(x);
+    return null;
+  };
+
+  async function embed(texts) {
+    const out = await pipe(texts, { pooling: 'mean', normalize: true });
+
+    // Case 1: pipeline already returns an array of per-item outputs
+    if (Array.isArray(out)) {
+      const vecs = out.map(toVec);
+      if (vecs.some(v => v == null)) throw new Error('Unexpected embedding output (array case)');
+      return vecs;
+    }
+
+    // Case 2: single object / tensor with concatenated data → split by `dim`
+    const vec = toVec(out);
+    if (!vec) throw new Error('Unexpected embedding output (tensor case)');
+
+    const n = Math.round(vec.length / dim);
+    if (n * dim !== vec.length) {
+      // Fallback: treat as single vector
+      return [vec];
+    }
+    if (n === 1) return [vec];
+
+    const res = new Array(n);
+    for (let i = 0; i < n; i++) {
+      res[i] = vec.subarray(i * dim, (i + 1) * dim);
+    }
+    return res;
+  }
+
+  return { modelId, dim, embed };
+}
@@ -0,0 +1,165 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Word embeddings computed outside the vocab matrix, cached per namespace (a
+// hash of model + context template): an in-memory LRU in front of one
+// append-only JSON-lines file per namespace. Only the word -> byte range index
+// of a file stays in memory; vectors are read back from disk on demand. Other
+// processes (the CLI, a second server on the same cache directory) may append
+// to the same files, so the index follows the file size on disk and every line
+// read back is checked against the word it was looked up for.
+
+const encodeVec = (v) => Buffer.from(v.buffer, v.byteOffset, v.byteLength).toString('base64');
+
+function decodeVec(s) {
+  const b = Buffer.from(s, 'base64');
+  return new Float32Array(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength));
+}
+
+export class EmbeddingCache {
+  constructor(dir, { maxEntries = 10000 } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.memory = new Map(); // `${namespace}\n${word}` -> Float32Array, in LRU order
+    this.files = new Map();  // namespace -> { path, size, offsets: Map word -> [offset, length], ready, writing }
+    this.counts = { memoryHits: 0, diskHits: 0, misses: 0 };
+  }
+
+  remember(key, vec) {
+    this.memory.delete(key);
+    this.memory.set(key, vec);
+    for (const old of this.memory.keys()) {
+      if (this.memory.size <= this.maxEntries) break;
+      this.memory.delete(old);
+    }
+  }
+
+  file(namespace) {
+    if (this.files.has(namespace)) return this.files.get(namespace);
+    // `size` is the indexed prefix of the file, up to its last complete line
+    const file = { path: path.join(this.dir, `${namespace}.jsonl`), size: 0, offsets: new Map(), ready: Promise.resolve(), writing: Promise.resolve() };
+    this.files.set(namespace, file);
+    return file;
+  }
+
+  // index the lines appended since the last pass, by any process; a file that
+  // shrank is indexed from scratch, and a torn last line (crash or append in
+  // progress) is left for the next pass. Passes are serialized per file.
+  sync(file, { reset = false } = {}) {
+    file.ready = file.ready.then(async () => {
+      if (reset) {
+        file.offsets.clear();
+        file.size = 0;
+      }
+      let size = 0;
+      try {
+        ({ size } = await fs.stat(file.path));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      if (size < file.size) {
+        file.offsets.clear();
+        file.size = 0;
+      }
+      if (size === file.size) return;
+      const buf = Buffer.alloc(size - file.size);
+      const fd = await fs.open(file.path, 'r');
+      try {
+        await fs.read(fd, buf, 0, buf.length, file.size);
+      } finally {
+        await fs.close(fd);
+      }
+      let start = 0;
+      for (let end = buf.indexOf(0x0a); end >= 0; start = end + 1, end = buf.indexOf(0x0a, start)) {
+        try {
+          const { w } = JSON.parse(buf.subarray(start, end).toString('utf8'));
+          if (typeof w === 'string') file.offsets.set(w, [file.size + start, end - start]);
+        } catch {
+          // ignore malformed lines
+        }
+      }
+      file.size += start;
+    }).catch((e) => {
+      console.warn(`[embeddings] could not index ${file.path}: ${e.message}`);
+    });
+    return file.ready;
+  }
+
+  // Map word -> vector for the words found in memory or on disk
+  async get(namespace, words) {
+    const found = new Map();
+    const file = this.file(namespace);
+    await this.sync(file);
+    let fd = null;
+    let stale = false;
+    try {
+      for (const w of words) {
+        const key = `${namespace}\n${w}`;
+        if (this.memory.has(key)) {
+          const vec = this.memory.get(key);
+          this.remember(key, vec);
+          found.set(w, vec);
+          this.counts.memoryHits++;
+          continue;
+        }
+        const range = file.offsets.get(w);
+        if (!range) {
+          this.counts.misses++;
+          continue;
+        }
+        if (fd === null) fd = await fs.open(file.path, 'r');
+        const line = Buffer.alloc(range[1]);
+        await fs.read(fd, line, 0, range[1], range[0]);
+        let entry = null;
+        try {
+          entry = JSON.parse(line.toString('utf8'));
+        } catch {
+          // checked below
+        }
+        if (entry?.w !== w) {
+          // the file was rewritten under the index: treat as a miss and re-index
+          stale = true;
+          this.counts.misses++;
+          continue;
+        }
+        const vec = decodeVec(entry.v);
+        this.remember(key, vec);
+        found.set(w, vec);
+        this.counts.diskHits++;
+      }
+    } finally {
+      if (fd !== null) await fs.close(fd);
+    }
+    if (stale) this.sync(file, { reset: true });
+    return found;
+  }
+
+  // add [word, vector] entries; appends are serialized per namespace file, and
+  // their offsets come from indexing the file afterwards, since another process
+  // may have appended in between
+  async set(namespace, entries) {
+    const file = this.file(namespace);
+    for (const [w, vec] of entries) this.remember(`${namespace}\n${w}`, vec);
+    const lines = entries.map(([w, vec]) => Buffer.from(JSON.stringify({ w, v: encodeVec(vec) }) + '\n', 'utf8'));
+    file.writing = file.writing.then(async () => {
+      await fs.ensureDir(this.dir);
+      await fs.appendFile(file.path, Buffer.concat(lines));
+    }).catch((e) => {
+      console.warn(`[embeddings] could not write ${file.path}: ${e.message}`);
+    });
+    await file.writing;
+    await this.sync(file);
+  }
+
+  stats() {
+    let diskEntries = 0;
+    for (const file of this.files.values()) diskEntries += file.offsets.size;
+    return {
+      ...this.counts,
+      memoryEntries: this.memory.size,
+      maxEntries: this.maxEntries,
+      diskEntries,
+      namespaces: this.files.size
+    };
+  }
+}
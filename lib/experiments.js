@@ -0,0 +1,127 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+// Saved experiments: one `<id>.json` file per experiment holding the search
+// request, the response snapshot, a name, tags and notes. Summaries for
+// listing are cached per file modification time, so files written by another
+// process (the CLI, a second server on the same volume) still show up.
+
+const ID_PATTERN = /^[a-z0-9]{1,64}$/;
+const TOP_WORDS = 5;  // neighbors shown in a summary
+const TOP_SEEDS = 5;  // seed pairs shown in a summary
+
+export function summarize(record) {
+  const { request = {}, result = {} } = record;
+  const pairs = Array.isArray(request.pairs) ? request.pairs.filter(Array.isArray) : [];
+  return {
+    id: record.id,
+    name: record.name,
+    tags: record.tags,
+    notes: record.notes,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    target: request.target ?? null,
+    pairs: pairs.length,
+    seeds: pairs.slice(0, TOP_SEEDS).map(([a, b]) => `${a} → ${b}`),
+    model: result.meta?.model ?? request.model ?? null,
+    contextTemplate: request.contextTemplate ?? '{w}',
+    top: (result.neighbors || []).slice(0, TOP_WORDS).map(n => n.word)
+  };
+}
+
+export class ExperimentStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.summaries = new Map(); // id -> { mtimeMs, summary }
+    this.writing = Promise.resolve(); // writes are serialized
+  }
+
+  file(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id) ? path.join(this.dir, `${id}.json`) : null;
+  }
+
+  // full record, or null when there is no such experiment
+  async get(id) {
+    const file = this.file(id);
+    if (!file || !await fs.pathExists(file)) return null;
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+
+  // changes to the directory run one at a time
+  serialize(task) {
+    const job = this.writing.then(task);
+    this.writing = job.catch(() => {});
+    return job;
+  }
+
+  // write to a temp file and rename, so readers never see half a record
+  async put(record) {
+    const file = this.file(record.id);
+    await fs.ensureDir(this.dir);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+  }
+
+  write(record) {
+    return this.serialize(() => this.put(record));
+  }
+
+  async create(fields) {
+    const now = Date.now();
+    const id = now.toString(36) + crypto.randomBytes(4).toString('hex');
+    const record = { id, createdAt: now, updatedAt: now, ...fields };
+    await this.write(record);
+    return record;
+  }
+
+  // apply { name, tags, notes } changes; null when there is no such experiment.
+  // The read and the write are one serialized step, so concurrent updates of
+  // one record do not drop each other's fields.
+  update(id, changes) {
+    return this.serialize(async () => {
+      const record = await this.get(id);
+      if (!record) return null;
+      const updated = { ...record, ...changes, updatedAt: Date.now() };
+      await this.put(updated);
+      return updated;
+    });
+  }
+
+  remove(id) {
+    return this.serialize(async () => {
+      const file = this.file(id);
+      if (!file || !await fs.pathExists(file)) return false;
+      await fs.remove(file);
+      this.summaries.delete(id);
+      return true;
+    });
+  }
+
+  // summaries of every experiment, newest first
+  async list() {
+    if (!await fs.pathExists(this.dir)) return [];
+    const ids = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+    const out = [];
+    for (const id of ids) {
+      const file = this.file(id);
+      if (!file) continue;
+      try {
+        const { mtimeMs } = await fs.stat(file);
+        let cached = this.summaries.get(id);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+          cached = { mtimeMs, summary: summarize(JSON.parse(await fs.readFile(file, 'utf8'))) };
+          this.summaries.set(id, cached);
+        }
+        out.push(cached.summary);
+      } catch (e) {
+        console.warn(`[experiments] skipping ${file}: ${e.message}`);
+      }
+    }
+    const present = new Set(ids);
+    for (const id of this.summaries.keys()) {
+      if (!present.has(id)) this.summaries.delete(id);
+    }
+    return out.sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
@@ -0,0 +1,272 @@
+// Vector arithmetic over word embeddings: `king - man + woman`,
+// `0.5 * (hot + cold)`, `work + [garden → gardening, fight → fighting : 2]`.
+//
+//   expr     := term (('+' | '-') term)*
+//   term     := unary (('*' | '/') unary)*
+//   unary    := '-' unary | '+' unary | primary
+//   primary  := number | word | '(' expr ')' | '[' pair (',' pair)* ']'
+//   pair     := word ('→' | '->' | '=>') word (':' number)?
+//
+// Bare words are letters, digits, `_` and `'`; phrases and hyphenated words
+// are quoted ("ice cream", "well-known"). A bracketed list is the relation of
+// its pairs (aggregated like seed pairs), with an optional weight per pair.
+// Every node is typed as a scalar or a vector while parsing: scalars are
+// folded into numbers, so evaluation only adds and scales vectors and can not
+// fail once an expression parses.
+
+export class ExpressionError extends Error {
+  constructor(message, index) {
+    super(index === undefined ? message : `${message} at character ${index + 1}`);
+    this.index = index;
+  }
+}
+
+const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?![\p{L}\p{N}_'])/iuy;
+const WORD = /[\p{L}\p{N}_']+/uy;
+const SYMBOLS = [
+  ['->', 'arrow'], ['=>', 'arrow'], ['→', 'arrow'],
+  ['+', '+'], ['-', '-'], ['−', '-'], ['*', '*'], ['×', '*'], ['·', '*'], ['/', '/'], ['÷', '/'],
+  ['(', '('], [')', ')'], ['[', '['], [']', ']'], [',', ','], [':', ':']
+];
+
+// numbers beyond the float range would turn every score into NaN
+function finite(value, index) {
+  if (!Number.isFinite(value)) throw new ExpressionError('number out of range', index);
+  return value;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const symbol = SYMBOLS.find(([s]) => text.startsWith(s, i));
+    if (symbol) {
+      tokens.push({ type: symbol[1], index: i });
+      i += symbol[0].length;
+      continue;
+    }
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end < 0) throw new ExpressionError('unterminated quote', i);
+      const word = text.slice(i + 1, end).trim();
+      if (!word) throw new ExpressionError('empty quoted word', i);
+      tokens.push({ type: 'word', value: word, index: i });
+      i = end + 1;
+      continue;
+    }
+    NUMBER.lastIndex = i;
+    const number = NUMBER.exec(text);
+    if (number) {
+      tokens.push({ type: 'number', value: finite(Number(number[0]), i), index: i });
+      i += number[0].length;
+      continue;
+    }
+    WORD.lastIndex = i;
+    const word = WORD.exec(text);
+    if (!word) throw new ExpressionError(`unexpected "${text[i]}"`, i);
+    tokens.push({ type: 'word', value: word[0], index: i });
+    i += word[0].length;
+  }
+  tokens.push({ type: 'end', index: text.length });
+  return tokens;
+}
+
+function describe(token) {
+  if (token.type === 'end') return 'end of expression';
+  if (token.type === 'word') return `word "${token.value}"`;
+  if (token.type === 'number') return `number ${token.value}`;
+  return token.type === 'arrow' ? '"→"' : `"${token.type}"`;
+}
+
+// scalar arithmetic is folded while parsing
+function fold(op, x, y, index) {
+  switch (op) {
+    case '+': return finite(x + y, index);
+    case '-': return finite(x - y, index);
+    case '*': return finite(x * y, index);
+    default:
+      if (y === 0) throw new ExpressionError('division by zero', index);
+      return finite(x / y, index);
+  }
+}
+
+// typed nodes: { type: 'number', value } is the only scalar; vectors are
+// 'word', 'relation', 'neg', 'sum' (+ / −) and 'scale' (vector × number)
+function combine(op, left, right, index) {
+  const scalars = left.type === 'number' && right.type === 'number';
+  if (scalars) return { type: 'number', value: fold(op, left.value, right.value, index), index };
+  if (op === '+' || op === '-') {
+    if (left.type === 'number' || right.type === 'number') {
+      throw new ExpressionError(`can not ${op === '+' ? 'add a number to' : 'subtract a number from'} a vector`, index);
+    }
+    return { type: 'sum', op, left, right, index };
+  }
+  if (op === '*') {
+    if (left.type !== 'number' && right.type !== 'number') {
+      throw new ExpressionError('can not multiply two vectors (scale them by numbers instead)', index);
+    }
+    const [factor, vector] = left.type === 'number' ? [left.value, right] : [right.value, left];
+    return scale(vector, factor, index);
+  }
+  if (right.type !== 'number') throw new ExpressionError('can only divide by a number', index);
+  if (right.value === 0) throw new ExpressionError('division by zero', index);
+  return scale(left, 1 / right.value, index);
+}
+
+function scale(vector, factor, index) {
+  if (vector.type === 'scale') return { ...vector, factor: finite(vector.factor * factor, index) };
+  return { type: 'scale', factor: finite(factor, index), vector, index };
+}
+
+// the typed tree of an expression that evaluates to a vector
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  let at = 0;
+  const peek = () => tokens[at];
+  const next = () => tokens[at++];
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) throw new ExpressionError(`expected ${what}, found ${describe(token)}`, token.index);
+    return token;
+  };
+
+  function expr() {
+    let node = term();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next();
+      node = combine(op.type, node, term(), op.index);
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = next();
+      node = combine(op.type, node, unary(), op.index);
+    }
+    return node;
+  }
+
+  function unary() {
+    const token = peek();
+    if (token.type === '+') {
+      next();
+      return unary();
+    }
+    if (token.type === '-') {
+      next();
+      const arg = unary();
+      return arg.type === 'number' ? { ...arg, value: -arg.value } : { type: 'neg', arg, index: token.index };
+    }
+    return primary();
+  }
+
+  function primary() {
+    const token = next();
+    if (token.type === 'number') return { type: 'number', value: token.value, index: token.index };
+    if (token.type === 'word') return { type: 'word', word: token.value, index: token.index };
+    if (token.type === '(') {
+      const node = expr();
+      expect(')', '")"');
+      return node;
+    }
+    if (token.type === '[') {
+      const pairs = [pair()];
+      while (peek().type === ',') {
+        next();
+        pairs.push(pair());
+      }
+      expect(']', '"," or "]"');
+      return { type: 'relation', pairs, index: token.index };
+    }
+    throw new ExpressionError(`expected a word, number, "(" or "[", found ${describe(token)}`, token.index);
+  }
+
+  function pair() {
+    const a = expect('word', 'a word');
+    expect('arrow', '"→"');
+    const b = expect('word', 'a word');
+    if (peek().type !== ':') return [a.value, b.value];
+    next();
+    const weight = expect('number', 'a weight');
+    return [a.value, b.value, weight.value];
+  }
+
+  const root = expr();
+  const rest = peek();
+  if (rest.type !== 'end') {
+    const hint = rest.type === 'word' && tokens[at - 1].type === 'word' ? ' (quote phrases: "ice cream")' : '';
+    throw new ExpressionError(`expected an operator, found ${describe(rest)}${hint}`, rest.index);
+  }
+  if (root.type === 'number') throw new ExpressionError('expression evaluates to a number, not a vector');
+  return root;
+}
+
+// words (in order of appearance) and relation nodes of a parsed expression
+export function expressionInputs(node, out = { words: [], relations: [] }) {
+  switch (node.type) {
+    case 'word': out.words.push(node.word); break;
+    case 'relation': out.relations.push(node); break;
+    case 'neg': expressionInputs(node.arg, out); break;
+    case 'scale': expressionInputs(node.vector, out); break;
+    case 'sum':
+      expressionInputs(node.left, out);
+      expressionInputs(node.right, out);
+      break;
+    default: break;
+  }
+  return out;
+}
+
+// the vector of a parsed expression; `word(w)` and `relation(node)` look up
+// the vectors of its leaves
+export function evaluateExpression(node, { word, relation }) {
+  switch (node.type) {
+    case 'word': return word(node.word);
+    case 'relation': return relation(node);
+    case 'neg': return scaled(evaluateExpression(node.arg, { word, relation }), -1);
+    case 'scale': return scaled(evaluateExpression(node.vector, { word, relation }), node.factor);
+    default: {
+      const left = evaluateExpression(node.left, { word, relation });
+      const right = evaluateExpression(node.right, { word, relation });
+      const sign = node.op === '+' ? 1 : -1;
+      const out = new Float32Array(left.length);
+      for (let j = 0; j < out.length; j++) out[j] = left[j] + sign * right[j];
+      return out;
+    }
+  }
+}
+
+function scaled(vec, factor) {
+  const out = new Float32Array(vec.length);
+  for (let j = 0; j < out.length; j++) out[j] = vec[j] * factor;
+  return out;
+}
+
+const PRECEDENCE = { sum: 1, scale: 2, neg: 3 };
+
+function formatWord(word) {
+  WORD.lastIndex = 0;
+  const bare = WORD.exec(word)?.[0] === word && !/^\d/.test(word);
+  return bare ? word : `"${word}"`;
+}
+
+// canonical text of a parsed expression, with scalars folded and only the
+// parentheses it needs
+export function formatExpression(node) {
+  const wrap = (child, min) => ((PRECEDENCE[child.type] ?? 4) < min ? `(${formatExpression(child)})` : formatExpression(child));
+  switch (node.type) {
+    case 'number': return String(node.value);
+    case 'word': return formatWord(node.word);
+    case 'relation':
+      return `[${node.pairs.map(([a, b, w]) => `${formatWord(a)} → ${formatWord(b)}${w === undefined ? '' : ` : ${w}`}`).join(', ')}]`;
+    case 'neg': return `-${wrap(node.arg, 3)}`;
+    case 'scale': return `${node.factor} * ${wrap(node.vector, 3)}`;
+    default: return `${wrap(node.left, 1)} ${node.op === '+' ? '+' : '-'} ${wrap(node.right, 2)}`;
+  }
+}
@@ -0,0 +1,108 @@
+import vm from 'vm';
+
+// Neighbor filters: the request's `filters` object checked into a plain
+// shape, and the words of a vocabulary it allows. They are applied while
+// ranking, before the top-k cutoff, so `k` counts filtered words; core.js
+// caches the resulting row masks.
+
+export const PATTERN_MAX = 200;
+export const PATTERN_MS = 250;
+
+export class FilterError extends Error {}
+
+export function parseFilters(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new FilterError('filters must be an object');
+  const words = (value, name) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(x => typeof x !== 'string')) {
+      throw new FilterError(`filters.${name} must be an array of strings`);
+    }
+    return [...new Set(value.map(x => x.trim()).filter(Boolean))];
+  };
+  const number = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const x = Number(value);
+    if (!Number.isFinite(x)) throw new FilterError(`filters.${name} must be a number`);
+    return x;
+  };
+  const text = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new FilterError(`filters.${name} must be a string`);
+    return value;
+  };
+
+  const pos = raw.pos || {};
+  if (typeof pos !== 'object' || Array.isArray(pos)) throw new FilterError('filters.pos must be { include, exclude }');
+  const filters = {
+    pos: {
+      include: words(pos.include, 'pos.include').map(p => p.toLowerCase()),
+      exclude: words(pos.exclude, 'pos.exclude').map(p => p.toLowerCase())
+    },
+    pattern: text(raw.pattern, 'pattern'),
+    prefix: text(raw.prefix, 'prefix'),
+    suffix: text(raw.suffix, 'suffix'),
+    minLength: number(raw.minLength, 'minLength'),
+    maxLength: number(raw.maxLength, 'maxLength'),
+    minScore: number(raw.minScore, 'minScore'),
+    blocklist: words(raw.blocklist, 'blocklist')
+  };
+  if (filters.pattern !== null) {
+    if (filters.pattern.length > PATTERN_MAX) {
+      throw new FilterError(`filters.pattern is longer than ${PATTERN_MAX} characters`);
+    }
+    try {
+      new RegExp(filters.pattern, 'u');
+    } catch (e) {
+      throw new FilterError(`invalid filters.pattern: ${e.message}`);
+    }
+  }
+  return filters;
+}
+
+// whether any word-level filter (everything but minScore) is set
+export function hasWordFilters({ pos, pattern, prefix, suffix, minLength, maxLength, blocklist }) {
+  return pos.include.length > 0 || pos.exclude.length > 0 || pattern !== null || prefix !== null ||
+    suffix !== null || minLength !== null || maxLength !== null || blocklist.length > 0;
+}
+
+// a user pattern can backtrack for ages on some words; V8 can only interrupt a
+// running regex through a vm timeout, so all words are matched inside one
+const matchPattern = new vm.Script('for (let i = 0; i < words.length; i++) out[i] = regex.test(words[i]) ? 1 : 0;');
+
+function patternMatches(words, pattern, timeout) {
+  const out = new Uint8Array(words.length);
+  try {
+    matchPattern.runInNewContext({ words, regex: new RegExp(pattern, 'u'), out }, { timeout });
+  } catch (e) {
+    if (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new FilterError(`filters.pattern took longer than ${timeout} ms to match the vocabulary`);
+    }
+    throw e;
+  }
+  return out;
+}
+
+// 1 for every word the word-level filters allow, written into `out`. `posOf`
+// returns a word's POS tags and `keyOf` the spelling blocklists compare.
+export function matchWords(words, filters, { posOf = () => [], keyOf = w => w, out = new Uint8Array(words.length), patternMs = PATTERN_MS } = {}) {
+  const { pos, pattern, prefix, suffix, minLength, maxLength, blocklist } = filters;
+  const matched = pattern === null ? null : patternMatches(words, pattern, patternMs);
+  const include = new Set(pos.include);
+  const exclude = new Set(pos.exclude);
+  const blocked = new Set(blocklist.map(keyOf));
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    const tags = posOf(w).map(p => p.toLowerCase());
+    const ok = (!include.size || tags.some(p => include.has(p))) &&
+      !tags.some(p => exclude.has(p)) &&
+      (prefix === null || w.startsWith(prefix)) &&
+      (suffix === null || w.endsWith(suffix)) &&
+      (minLength === null || w.length >= minLength) &&
+      (maxLength === null || w.length <= maxLength) &&
+      !blocked.has(keyOf(w)) &&
+      (matched === null || matched[i] === 1);
+    out[i] = ok ? 1 : 0;
+  }
+  return out;
+}
@@ -0,0 +1,70 @@
+// Binary heap of (id, score) pairs. By default the lowest score sits on top,
+// which is what a bounded "keep the k best" selection needs; pass `max: true`
+// to pop the highest score first instead.
+export class ScoreHeap {
+  constructor({ max = false } = {}) {
+    this.ids = [];
+    this.scores = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  peekId() {
+    return this.ids[0];
+  }
+
+  peekScore() {
+    return this.scores[0];
+  }
+
+  push(id, score) {
+    const { ids, scores } = this;
+    let i = ids.length;
+    ids.push(id);
+    scores.push(score);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.sign * (scores[parent] - score) <= 0) break;
+      ids[i] = ids[parent];
+      scores[i] = scores[parent];
+      i = parent;
+    }
+    ids[i] = id;
+    scores[i] = score;
+  }
+
+  pop() {
+    const { ids, scores } = this;
+    if (!ids.length) return undefined;
+    const top = { id: ids[0], score: scores[0] };
+    const lastId = ids.pop();
+    const lastScore = scores.pop();
+    const n = ids.length;
+    if (n) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= n) break;
+        const right = left + 1;
+        const child = right < n && this.sign * (scores[right] - scores[left]) < 0 ? right : left;
+        if (this.sign * (scores[child] - lastScore) >= 0) break;
+        ids[i] = ids[child];
+        scores[i] = scores[child];
+        i = child;
+      }
+      ids[i] = lastId;
+      scores[i] = lastScore;
+    }
+    return top;
+  }
+
+  // entries ordered best (highest score) first; empties the heap
+  drainDescending() {
+    const out = [];
+    while (this.size) out.push(this.pop());
+    return this.sign === 1 ? out.reverse() : out;
+  }
+}
@@ -0,0 +1,252 @@
+import { ScoreHeap } from './heap.js';
+import { mulberry32 } from './random.js';
+
+// Hierarchical navigable small world graph (Malkov & Yashunin) over the rows of
+// a matrix store (see matrix.js). Similarity is the dot product, so rows and
+// queries are expected to be unit length (cosine). The index keeps a reference
+// to the store instead of copying vectors; only the graph is persisted.
+
+const MAGIC = 0x57534e48; // "HNSW"
+const VERSION = 1;
+
+export class HnswIndex {
+  constructor(store, { M = 16, efConstruction = 100, seed = 42 } = {}) {
+    this.store = store;
+    this.dim = store.dim;
+    this.n = store.n;
+    this.M = M;
+    this.M0 = 2 * M;
+    this.efConstruction = efConstruction;
+    this.seed = seed;
+    this.random = mulberry32(seed); // seeded so a rebuilt index is identical to the persisted one
+    this.mL = 1 / Math.log(M);
+    this.levels = new Uint8Array(this.n);
+    this.links0 = new Int32Array(this.n * this.M0).fill(-1);
+    this.upper = new Map(); // node -> Int32Array(level * M), layer l at (l - 1) * M
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.count = 0; // rows 0..count-1 are inserted
+    this.visited = new Uint32Array(this.n);
+    this.visitMark = 0;
+  }
+
+  get complete() {
+    return this.count === this.n;
+  }
+
+  simQuery(i, q) {
+    return this.store.dot(i, q);
+  }
+
+  simNodes(a, b) {
+    return this.store.dotRows(a, b);
+  }
+
+  // [array, offset, capacity] of a node's links on a layer
+  slots(node, level) {
+    if (level === 0) return [this.links0, node * this.M0, this.M0];
+    return [this.upper.get(node), (level - 1) * this.M, this.M];
+  }
+
+  nextMark() {
+    this.visitMark++;
+    if (this.visitMark === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitMark = 1;
+    }
+    return this.visitMark;
+  }
+
+  greedy(simTo, entry, fromLevel, toLevel) {
+    let best = entry;
+    let bestSim = simTo(entry);
+    for (let l = fromLevel; l > toLevel; l--) {
+      let changed = true;
+      while (changed) {
+        changed = false;
+        const [links, offset, cap] = this.slots(best, l);
+        for (let s = 0; s < cap; s++) {
+          const nb = links[offset + s];
+          if (nb < 0) break;
+          const sim = simTo(nb);
+          if (sim > bestSim) {
+            best = nb;
+            bestSim = sim;
+            changed = true;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  // best-first search of one layer; returns up to `ef` { id, score } best first
+  searchLayer(simTo, entries, ef, level) {
+    const mark = this.nextMark();
+    const candidates = new ScoreHeap({ max: true });
+    const results = new ScoreHeap();
+    for (const e of entries) {
+      if (this.visited[e] === mark) continue;
+      this.visited[e] = mark;
+      const sim = simTo(e);
+      candidates.push(e, sim);
+      results.push(e, sim);
+      if (results.size > ef) results.pop();
+    }
+    while (candidates.size) {
+      const { id: c, score: cSim } = candidates.pop();
+      if (results.size >= ef && cSim < results.peekScore()) break;
+      const [links, offset, cap] = this.slots(c, level);
+      for (let s = 0; s < cap; s++) {
+        const nb = links[offset + s];
+        if (nb < 0) break;
+        if (this.visited[nb] === mark) continue;
+        this.visited[nb] = mark;
+        const sim = simTo(nb);
+        if (results.size < ef || sim > results.peekScore()) {
+          candidates.push(nb, sim);
+          results.push(nb, sim);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.drainDescending();
+  }
+
+  // neighbor selection heuristic: skip a candidate that is closer to an
+  // already selected neighbor than to the base node (keeps the graph navigable)
+  selectNeighbors(candidates, max) {
+    const kept = [];
+    for (const c of candidates) {
+      if (kept.length >= max) break;
+      let diverse = true;
+      for (const r of kept) {
+        if (this.simNodes(c.id, r.id) > c.score) {
+          diverse = false;
+          break;
+        }
+      }
+      if (diverse) kept.push(c);
+    }
+    return kept;
+  }
+
+  connect(node, other, sim, level) {
+    const [links, offset, cap] = this.slots(node, level);
+    for (let s = 0; s < cap; s++) {
+      if (links[offset + s] < 0) {
+        links[offset + s] = other;
+        return;
+      }
+    }
+    // full: re-select among the existing links plus the new one
+    const candidates = [{ id: other, score: sim }];
+    for (let s = 0; s < cap; s++) {
+      const nb = links[offset + s];
+      candidates.push({ id: nb, score: this.simNodes(node, nb) });
+    }
+    candidates.sort((x, y) => y.score - x.score);
+    const kept = this.selectNeighbors(candidates, cap);
+    for (let s = 0; s < cap; s++) links[offset + s] = s < kept.length ? kept[s].id : -1;
+  }
+
+  // insert the next row; returns false once every row is in the graph
+  addNext() {
+    if (this.count >= this.n) return false;
+    const node = this.count++;
+    const level = Math.min(255, Math.floor(-Math.log(1 - this.random()) * this.mL));
+    this.levels[node] = level;
+    if (level > 0) this.upper.set(node, new Int32Array(level * this.M).fill(-1));
+
+    if (this.entryPoint < 0) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return true;
+    }
+
+    const simTo = (j) => this.simNodes(node, j);
+    let entries = [this.greedy(simTo, this.entryPoint, this.maxLevel, level)];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(simTo, entries, this.efConstruction, l);
+      const selected = this.selectNeighbors(found, this.M);
+      const [links, offset] = this.slots(node, l);
+      selected.forEach((c, s) => { links[offset + s] = c.id; });
+      for (const c of selected) this.connect(c.id, node, c.score, l);
+      entries = found.map(c => c.id);
+    }
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+    return true;
+  }
+
+  // k approximate nearest rows to a unit query, best first, as { id, score }
+  search(q, k, ef = 64) {
+    if (this.entryPoint < 0) return [];
+    const simTo = (j) => this.simQuery(j, q);
+    const entry = this.greedy(simTo, this.entryPoint, this.maxLevel, 0);
+    return this.searchLayer(simTo, [entry], Math.max(ef, k), 0).slice(0, k);
+  }
+
+  // layout: magic, version, header length, JSON header, levels, layer-0 links,
+  // then the upper-layer links of every node with level > 0 in node order
+  toBuffer(extra = {}) {
+    const header = Buffer.from(JSON.stringify({
+      ...extra,
+      n: this.n,
+      dim: this.dim,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      seed: this.seed,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      count: this.count
+    }), 'utf8');
+    const upperNodes = [...this.upper.keys()].sort((a, b) => a - b);
+    const upperParts = upperNodes.map(node => Buffer.from(this.upper.get(node).buffer));
+    return Buffer.concat([
+      Buffer.from(new Uint32Array([MAGIC, VERSION, header.length]).buffer),
+      header,
+      Buffer.from(this.levels.buffer),
+      Buffer.from(this.links0.buffer),
+      ...upperParts
+    ]);
+  }
+
+  static readHeader(buf) {
+    if (buf.length < 12 || buf.readUInt32LE(0) !== MAGIC) throw new Error('not an HNSW index file');
+    const version = buf.readUInt32LE(4);
+    if (version !== VERSION) throw new Error(`unsupported HNSW index version ${version}`);
+    const headerLength = buf.readUInt32LE(8);
+    return { header: JSON.parse(buf.subarray(12, 12 + headerLength).toString('utf8')), offset: 12 + headerLength };
+  }
+
+  static fromBuffer(buf, store) {
+    const { header, offset: start } = HnswIndex.readHeader(buf);
+    const index = new HnswIndex(store, {
+      M: header.M,
+      efConstruction: header.efConstruction,
+      seed: header.seed
+    });
+    if (index.n !== header.n) throw new Error('HNSW index does not match the matrix size');
+    // copy into fresh (aligned) arrays
+    let offset = start;
+    index.levels = Uint8Array.from(buf.subarray(offset, offset + header.n));
+    offset += header.n;
+    const links0Bytes = header.n * index.M0 * 4;
+    index.links0 = new Int32Array(Uint8Array.from(buf.subarray(offset, offset + links0Bytes)).buffer);
+    offset += links0Bytes;
+    for (let node = 0; node < header.n; node++) {
+      const level = index.levels[node];
+      if (!level) continue;
+      const bytes = level * index.M * 4;
+      index.upper.set(node, new Int32Array(Uint8Array.from(buf.subarray(offset, offset + bytes)).buffer));
+      offset += bytes;
+    }
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.count = header.count;
+    return { index, header };
+  }
+}
@@ -0,0 +1,218 @@
+// Row-major embedding matrices stored as float32, float16 or int8 with a
+// per-row scale. Search reads the compact rows directly (no float32 copy of
+// the whole matrix), and the cache file carries a versioned header so it can
+// be loaded without trusting the JSON meta next to it.
+
+import fs from 'fs-extra';
+
+const MAGIC = 0x584d5446; // "FTMX"
+const VERSION = 1;
+export const DTYPES = ['float32', 'float16', 'int8'];
+
+// --- float16 <-> float32 ---
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+export function toHalf(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0); // inf / nan
+  let e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00; // overflow -> inf
+  if (e <= 0) {
+    if (e < -10) return sign; // underflow -> 0
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let half = mant >>> shift;
+    if ((mant >>> (shift - 1)) & 1) half++; // round
+    return sign | half;
+  }
+  let half = sign | (e << 10) | (mant >>> 13);
+  if (mant & 0x1000) half++; // round half up (carries into the exponent correctly)
+  return half;
+}
+
+function fromHalf(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >>> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * mant * 2 ** -24;
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+// decoded value of every half, built on first use (256 KB)
+let halfTable = null;
+function getHalfTable() {
+  if (!halfTable) {
+    halfTable = new Float32Array(65536);
+    for (let h = 0; h < 65536; h++) halfTable[h] = fromHalf(h);
+  }
+  return halfTable;
+}
+
+// --- encoding ---
+export function encodeMatrix(values, n, dim, dtype = 'float32') {
+  if (dtype === 'float32') return { dtype, n, dim, data: values, scales: null };
+  if (dtype === 'float16') {
+    const data = new Uint16Array(n * dim);
+    for (let i = 0; i < data.length; i++) data[i] = toHalf(values[i]);
+    return { dtype, n, dim, data, scales: null };
+  }
+  if (dtype === 'int8') {
+    const data = new Int8Array(n * dim);
+    const scales = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const o = i * dim;
+      let max = 0;
+      for (let j = 0; j < dim; j++) max = Math.max(max, Math.abs(values[o + j]));
+      const scale = max / 127 || 1;
+      scales[i] = scale;
+      for (let j = 0; j < dim; j++) data[o + j] = Math.round(values[o + j] / scale);
+    }
+    return { dtype, n, dim, data, scales };
+  }
+  throw new Error(`unknown matrix dtype "${dtype}"`);
+}
+
+// uniform row access over any dtype: dot products against a float32 query or
+// another row, a full scan into a score array, and decoded rows
+export function createMatrix({ dtype, n, dim, data, scales }) {
+  const half = dtype === 'float16' ? getHalfTable() : null;
+
+  function dot(i, q) {
+    const o = i * dim;
+    let s = 0;
+    if (dtype === 'float32') {
+      for (let j = 0; j < dim; j++) s += data[o + j] * q[j];
+      return s;
+    }
+    if (dtype === 'float16') {
+      for (let j = 0; j < dim; j++) s += half[data[o + j]] * q[j];
+      return s;
+    }
+    for (let j = 0; j < dim; j++) s += data[o + j] * q[j];
+    return s * scales[i];
+  }
+
+  function row(i) {
+    if (dtype === 'float32') return data.subarray(i * dim, (i + 1) * dim);
+    const out = new Float32Array(dim);
+    const o = i * dim;
+    for (let j = 0; j < dim; j++) out[j] = dtype === 'float16' ? half[data[o + j]] : data[o + j] * scales[i];
+    return out;
+  }
+
+  return {
+    dtype,
+    n,
+    dim,
+    data,
+    scales,
+    bytes: data.byteLength + (scales ? scales.byteLength : 0),
+    dot,
+    row,
+    dotRows(a, b) {
+      const oa = a * dim;
+      const ob = b * dim;
+      let s = 0;
+      if (dtype === 'float16') {
+        for (let j = 0; j < dim; j++) s += half[data[oa + j]] * half[data[ob + j]];
+        return s;
+      }
+      for (let j = 0; j < dim; j++) s += data[oa + j] * data[ob + j];
+      return dtype === 'int8' ? s * scales[a] * scales[b] : s;
+    },
+    scores(q, out = new Float32Array(n)) {
+      for (let i = 0; i < n; i++) out[i] = dot(i, q);
+      return out;
+    }
+  };
+}
+
+// copy of a store backed by SharedArrayBuffers, so worker threads can read the
+// same rows without a copy per thread (posting the arrays shares the memory)
+export function shareMatrix(store) {
+  const share = (arr) => {
+    if (!arr || arr.buffer instanceof SharedArrayBuffer) return arr;
+    const out = new arr.constructor(new SharedArrayBuffer(arr.byteLength));
+    out.set(arr);
+    return out;
+  };
+  return createMatrix({ dtype: store.dtype, n: store.n, dim: store.dim, data: share(store.data), scales: share(store.scales) });
+}
+
+// --- file format ---
+// magic, version, header length (u32 each), JSON header padded to 8 bytes,
+// row data, then the int8 row scales
+export function serializeMatrix(store, extra = {}) {
+  let header = Buffer.from(JSON.stringify({ ...extra, dtype: store.dtype, n: store.n, dim: store.dim }), 'utf8');
+  const pad = (8 - ((12 + header.length) % 8)) % 8;
+  header = Buffer.concat([header, Buffer.alloc(pad, 0x20)]);
+  const parts = [
+    Buffer.from(new Uint32Array([MAGIC, VERSION, header.length]).buffer),
+    header,
+    Buffer.from(store.data.buffer, store.data.byteOffset, store.data.byteLength)
+  ];
+  if (store.scales) parts.push(Buffer.from(store.scales.buffer, store.scales.byteOffset, store.scales.byteLength));
+  return Buffer.concat(parts);
+}
+
+function view(Type, buf, offset, length) {
+  const byteOffset = buf.byteOffset + offset;
+  if (byteOffset % Type.BYTES_PER_ELEMENT === 0) return new Type(buf.buffer, byteOffset, length);
+  return new Type(Uint8Array.from(buf.subarray(offset, offset + length * Type.BYTES_PER_ELEMENT)).buffer);
+}
+
+// a matrix file read straight into one buffer, a SharedArrayBuffer when worker
+// threads will search it: parseMatrix then views it in place, so loading
+// takes the file size once instead of a read buffer plus a shared copy. The
+// whole file is still resident; only a smaller dtype makes it smaller.
+const READ_CHUNK = 64 * 1024 * 1024;
+
+export async function readMatrixFile(file, { shared = false } = {}) {
+  const { size } = await fs.stat(file);
+  const buf = Buffer.from(shared ? new SharedArrayBuffer(size) : new ArrayBuffer(size));
+  const fd = await fs.open(file, 'r');
+  try {
+    for (let offset = 0; offset < size;) {
+      const { bytesRead } = await fs.read(fd, buf, offset, Math.min(READ_CHUNK, size - offset), offset);
+      if (!bytesRead) throw new Error(`${file} ended after ${offset} of ${size} bytes`);
+      offset += bytesRead;
+    }
+  } finally {
+    await fs.close(fd);
+  }
+  return buf;
+}
+
+// typed arrays are views over the file buffer, so the resident size of a
+// loaded matrix is its (compact) file size. Files without the header are raw
+// float32 dumps written by older versions; `fallback` supplies n and dim.
+export function parseMatrix(buf, fallback = {}) {
+  if (buf.length < 12 || buf.readUInt32LE(0) !== MAGIC) {
+    const { n, dim } = fallback;
+    if (!n || !dim || buf.length !== n * dim * 4) throw new Error('unrecognized matrix file');
+    const data = view(Float32Array, buf, 0, n * dim);
+    return { header: { dtype: 'float32', n, dim, normalized: fallback.normalized, legacy: true }, store: createMatrix({ dtype: 'float32', n, dim, data, scales: null }) };
+  }
+  const version = buf.readUInt32LE(4);
+  if (version !== VERSION) throw new Error(`unsupported matrix file version ${version}`);
+  const headerLength = buf.readUInt32LE(8);
+  if (12 + headerLength > buf.length) throw new Error('truncated matrix header');
+  const header = JSON.parse(buf.subarray(12, 12 + headerLength).toString('utf8'));
+  const { dtype, n, dim } = header;
+  let offset = 12 + headerLength;
+  const Type = { float32: Float32Array, float16: Uint16Array, int8: Int8Array }[dtype];
+  if (!Type) throw new Error(`unknown matrix dtype "${dtype}"`);
+  if (!Number.isInteger(n) || n < 1 || !Number.isInteger(dim) || dim < 1) throw new Error('invalid matrix size in header');
+  const expected = offset + n * dim * Type.BYTES_PER_ELEMENT + (dtype === 'int8' ? n * 4 : 0);
+  if (buf.length !== expected) throw new Error(`matrix file has ${buf.length} bytes, header expects ${expected}`);
+  const data = view(Type, buf, offset, n * dim);
+  offset += n * dim * Type.BYTES_PER_ELEMENT;
+  const scales = dtype === 'int8' ? view(Float32Array, buf, offset, n) : null;
+  return { header, store: createMatrix({ dtype, n, dim, data, scales }) };
+}
@@ -0,0 +1,43 @@
+// Agreement between two top-k neighbor lists, as reported by /api/compare:
+// set overlap of the row ids and rank correlation over their union.
+
+// overlap of two top-k lists of row ids
+export function jaccard(a, b) {
+  const setB = new Set(b);
+  const shared = a.filter(id => setB.has(id)).length;
+  const union = new Set([...a, ...b]).size;
+  return union ? shared / union : null;
+}
+
+// Spearman correlation of two rank lists (Pearson on the ranks, so ties are fine)
+export function rankCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mean = (v) => v.reduce((s, x) => s + x, 0) / n;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// `rankA` / `rankB` give each side's full-vocab rank of a row id, so the
+// correlation also covers ids that only one list holds
+export function listOverlap(a, b, rankA, rankB) {
+  const inA = new Set(a);
+  const inB = new Set(b);
+  const ids = [...new Set([...a, ...b])];
+  return {
+    jaccard: jaccard(a, b),
+    rankCorrelation: rankCorrelation(ids.map(rankA), ids.map(rankB)),
+    shared: a.filter(id => inB.has(id)).length,
+    onlyA: a.filter(id => !inB.has(id)),
+    onlyB: b.filter(id => !inA.has(id))
+  };
+}
@@ -0,0 +1,261 @@
+import PCA from 'ml-pca';
+import { UMAP } from 'umap-js';
+import { mulberry32, gaussian } from './random.js';
+import { tsne } from './tsne.js';
+
+// 3D layouts of the points of one chart. Every projection returns
+// { coords: [[x, y, z]], axes, explainedVariance, diagnostics }; linear ones
+// (PCA, relation-aligned) report the variance share of each axis, and all of
+// them report how many of each point's nearest neighbors survive in 3D.
+// PCA can also use a fixed basis fit once over a vocabulary matrix, so the
+// same word lands in the same place in every chart.
+
+export const PROJECTIONS = ['pca', 'umap', 'tsne', 'relation'];
+const MIN_POINTS = { umap: 4, tsne: 4 }; // fewer points fall back to PCA
+const PRESERVATION_K = 10;
+
+function centered(X) {
+  const d = X[0].length;
+  const mean = new Float64Array(d);
+  for (const x of X) for (let j = 0; j < d; j++) mean[j] += x[j] / X.length;
+  return X.map(x => x.map((v, j) => v - mean[j]));
+}
+
+function totalVariance(C) {
+  let s = 0;
+  for (const x of C) for (const v of x) s += v * v;
+  return s;
+}
+
+// variance share of each output axis, relative to the full-dimensional spread
+function axisVariance(C, coords) {
+  const total = totalVariance(C) || 1;
+  return [0, 1, 2].map(a => coords.reduce((s, p) => s + (p[a] || 0) ** 2, 0) / total);
+}
+
+function pca(X) {
+  if (X.length === 1) return { coords: [[0, 0, 0]], axes: ['PC1', 'PC2', 'PC3'], explainedVariance: [], diagnostics: {} };
+  // n points have at most n principal components
+  const components = Math.max(1, Math.min(3, X[0].length, X.length));
+  const model = new PCA(X, { center: true, scale: false });
+  const Y = model.predict(X, { nComponents: components }).to2DArray();
+  const coords = Y.map(y => [y[0] || 0, y[1] || 0, y[2] || 0]);
+  return {
+    coords,
+    axes: ['PC1', 'PC2', 'PC3'],
+    explainedVariance: model.getExplainedVariance().slice(0, components),
+    diagnostics: {}
+  };
+}
+
+function projectOnto(X, basis) {
+  const coords = X.map(x => basis.components.map(c => {
+    let s = 0;
+    for (let j = 0; j < x.length; j++) s += (x[j] - basis.mean[j]) * c[j];
+    return s;
+  }));
+  return {
+    coords: coords.map(c => [c[0] || 0, c[1] || 0, c[2] || 0]),
+    axes: ['PC1', 'PC2', 'PC3'],
+    explainedVariance: basis.explainedVariance,
+    diagnostics: { basis: 'global', localVariance: axisVariance(centered(X), coords) }
+  };
+}
+
+// x is the position along the relation; y and z are the two main directions
+// of what is left once that component is removed
+function relationAligned(X, relation) {
+  const norm = Math.sqrt(relation.reduce((s, v) => s + v * v, 0));
+  if (!norm) return null;
+  const unit = Array.from(relation, v => v / norm);
+  const C = centered(X);
+  const along = C.map(x => x.reduce((s, v, j) => s + v * unit[j], 0));
+  const residual = C.map((x, i) => x.map((v, j) => v - along[i] * unit[j]));
+  let rest = residual.map(() => [0, 0]);
+  if (X.length > 2) {
+    const Y = new PCA(residual, { center: false, scale: false }).predict(residual, { nComponents: 2 }).to2DArray();
+    rest = Y.map(y => [y[0] || 0, y[1] || 0]);
+  }
+  const coords = along.map((x, i) => [x, rest[i][0], rest[i][1]]);
+  const variance = axisVariance(C, coords);
+  return {
+    coords,
+    axes: ['relation', 'R1', 'R2'],
+    explainedVariance: variance,
+    diagnostics: { relationNorm: norm, relationVariance: variance[0] }
+  };
+}
+
+function umap(X, { seed, nNeighbors, minDist, epochs }) {
+  const neighbors = Math.max(2, Math.min(nNeighbors, X.length - 1));
+  const model = new UMAP({ nComponents: 3, nNeighbors: neighbors, minDist, nEpochs: epochs, random: mulberry32(seed) });
+  return {
+    coords: model.fit(X),
+    axes: ['UMAP1', 'UMAP2', 'UMAP3'],
+    explainedVariance: [],
+    diagnostics: { seed, nNeighbors: neighbors, minDist, epochs }
+  };
+}
+
+function tsneLayout(X, { seed, perplexity, iterations }) {
+  // the perplexity must leave each point enough neighbors to spread over
+  const p = Math.max(1, Math.min(perplexity, (X.length - 1) / 3));
+  const { Y, kl } = tsne(X, { dims: 3, perplexity: p, iterations, random: mulberry32(seed) });
+  return {
+    coords: Y,
+    axes: ['t-SNE1', 't-SNE2', 't-SNE3'],
+    explainedVariance: [],
+    diagnostics: { seed, perplexity: p, iterations, klDivergence: kl }
+  };
+}
+
+function nearest(points, i, k) {
+  const dist = [];
+  for (let j = 0; j < points.length; j++) {
+    if (j === i) continue;
+    let d = 0;
+    for (let c = 0; c < points[i].length; c++) d += (points[i][c] - points[j][c]) ** 2;
+    dist.push([j, d]);
+  }
+  dist.sort((a, b) => a[1] - b[1]);
+  return dist.slice(0, k).map(([j]) => j);
+}
+
+// mean share of each point's k nearest neighbors (full dimension) that are
+// still among its k nearest in the layout
+function neighborPreservation(X, coords, k = PRESERVATION_K) {
+  const kk = Math.min(k, X.length - 1);
+  if (kk < 1) return null;
+  let kept = 0;
+  for (let i = 0; i < X.length; i++) {
+    const high = new Set(nearest(X, i, kk));
+    kept += nearest(coords, i, kk).filter(j => high.has(j)).length;
+  }
+  return kept / (kk * X.length);
+}
+
+// principal axes of a matrix store (see matrix.js), fit on up to `sample` rows
+// picked with a seeded shuffle: the covariance of the sample, then orthogonal
+// iteration for the top `components` eigenvectors. Signs are fixed (largest
+// coordinate positive) so a refit gives the same axes.
+export function fitBasis(store, { sample = 10000, seed = 42, components = 3, iterations = 300 } = {}) {
+  const { n, dim } = store;
+  const random = mulberry32(seed);
+  const ids = Uint32Array.from({ length: n }, (_, i) => i);
+  const m = Math.min(n, sample);
+  for (let i = 0; i < m; i++) {
+    const j = i + Math.floor(random() * (n - i));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const mean = new Float64Array(dim);
+  for (let s = 0; s < m; s++) {
+    const row = store.row(ids[s]);
+    for (let j = 0; j < dim; j++) mean[j] += row[j] / m;
+  }
+  const cov = new Float64Array(dim * dim);
+  const x = new Float64Array(dim);
+  for (let s = 0; s < m; s++) {
+    const row = store.row(ids[s]);
+    for (let j = 0; j < dim; j++) x[j] = row[j] - mean[j];
+    for (let a = 0; a < dim; a++) {
+      const xa = x[a];
+      if (!xa) continue;
+      const o = a * dim;
+      for (let b = a; b < dim; b++) cov[o + b] += xa * x[b];
+    }
+  }
+  for (let a = 0; a < dim; a++) {
+    for (let b = a; b < dim; b++) {
+      cov[a * dim + b] /= m;
+      cov[b * dim + a] = cov[a * dim + b];
+    }
+  }
+  let trace = 0;
+  for (let a = 0; a < dim; a++) trace += cov[a * dim + a];
+
+  const k = Math.min(components, dim);
+  const normal = gaussian(random);
+  let Q = Array.from({ length: k }, () => Float64Array.from({ length: dim }, normal));
+  const multiply = (v) => {
+    const out = new Float64Array(dim);
+    for (let a = 0; a < dim; a++) {
+      let s = 0;
+      const o = a * dim;
+      for (let b = 0; b < dim; b++) s += cov[o + b] * v[b];
+      out[a] = s;
+    }
+    return out;
+  };
+  // Gram-Schmidt keeps the columns ordered by eigenvalue
+  const orthonormalize = (vecs) => vecs.map((v, i) => {
+    for (let p = 0; p < i; p++) {
+      let d = 0;
+      for (let j = 0; j < dim; j++) d += v[j] * vecs[p][j];
+      for (let j = 0; j < dim; j++) v[j] -= d * vecs[p][j];
+    }
+    let norm = 0;
+    for (let j = 0; j < dim; j++) norm += v[j] * v[j];
+    norm = Math.sqrt(norm) || 1;
+    for (let j = 0; j < dim; j++) v[j] /= norm;
+    return v;
+  });
+  Q = orthonormalize(Q);
+  for (let t = 0; t < iterations; t++) Q = orthonormalize(Q.map(multiply));
+
+  const eigenvalues = Q.map(q => {
+    const cq = multiply(q);
+    let s = 0;
+    for (let j = 0; j < dim; j++) s += q[j] * cq[j];
+    return s;
+  });
+  for (const q of Q) {
+    let peak = 0;
+    for (let j = 0; j < dim; j++) if (Math.abs(q[j]) > Math.abs(peak)) peak = q[j];
+    if (peak < 0) for (let j = 0; j < dim; j++) q[j] = -q[j];
+  }
+  return {
+    dim,
+    rows: n,
+    sampleSize: m,
+    seed,
+    totalVariance: trace,
+    explainedVariance: eigenvalues.map(v => (trace ? v / trace : 0)),
+    mean: Array.from(mean),
+    components: Q.map(q => Array.from(q))
+  };
+}
+
+// vectors: arrays of numbers (or typed arrays) of one dimension; `basis` is a
+// fitBasis() result used by PCA instead of fitting on the points
+export function projectPoints(vectors, { method = 'pca', basis = null, relation = null, seed = 42, nNeighbors = 15, minDist = 0.1, epochs = 200, perplexity = 30, iterations = 500 } = {}) {
+  if (!vectors.length) {
+    return { method, requested: method, coords: [], axes: [], explainedVariance: [], diagnostics: {} };
+  }
+  const X = vectors.map(v => Array.from(v));
+  let used = method;
+  let fallback = null;
+  if (X.length < (MIN_POINTS[method] || 0)) {
+    fallback = `${method} needs at least ${MIN_POINTS[method]} points`;
+    used = 'pca';
+  }
+
+  let result = null;
+  if (used === 'relation') {
+    result = relation ? relationAligned(X, Array.from(relation)) : null;
+    if (!result) {
+      fallback = 'the relation is zero';
+      used = 'pca';
+    }
+  }
+  if (used === 'umap') result = umap(X, { seed, nNeighbors, minDist, epochs });
+  if (used === 'tsne') result = tsneLayout(X, { seed, perplexity, iterations });
+  if (used === 'pca') result = basis ? projectOnto(X, basis) : pca(X);
+
+  return {
+    method: used,
+    requested: method,
+    ...result,
+    diagnostics: { ...result.diagnostics, neighborPreservation: neighborPreservation(X, result.coords), fallback }
+  };
+}
@@ -0,0 +1,23 @@
+// Seeded pseudo-random numbers, so anything built from them (graph levels,
+// projection layouts) is reproducible from its seed.
+
+// mulberry32: uniform in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// standard normal samples (Box-Muller) from a uniform source
+export function gaussian(random) {
+  return () => {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+}
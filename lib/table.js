@@ -0,0 +1,38 @@
+// Flat CSV / TSV views of the search responses of core.js, shared by the
+// HTTP API (`format: "csv"`) and the CLI. List cells (POS tags) are space
+// separated.
+
+export const TABLE_FORMATS = ['csv', 'tsv'];
+
+function cell(value, format) {
+  const text = Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value);
+  if (format === 'tsv') return text.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// header row, then one line per row
+export function formatTable({ rows, columns }, format = 'csv') {
+  const sep = format === 'tsv' ? '\t' : ',';
+  const lines = [columns.join(sep)];
+  for (const row of rows) lines.push(columns.map(c => cell(row[c], format)).join(sep));
+  return lines.join('\n') + '\n';
+}
+
+// { rows, columns } of a search, expression, batch or neighbors response
+export function resultTable(kind, result) {
+  if (kind === 'search' || kind === 'expression') {
+    const trips = result.neighbors.some(n => n.roundTrip);
+    const rows = result.neighbors.map((n, i) => ({
+      rank: i + 1,
+      word: n.word,
+      score: n.score,
+      pos: n.pos,
+      roundTripRank: n.roundTrip?.rank,
+      roundTripLandsOn: n.roundTrip?.landsOn
+    }));
+    return { rows, columns: ['rank', 'word', 'score', 'pos', ...(trips ? ['roundTripRank', 'roundTripLandsOn'] : [])] };
+  }
+  if (kind === 'batch') return { rows: result.table, columns: ['target', 'rank', 'word', 'score', 'pos'] };
+  if (kind === 'neighbors') return { rows: result.table, columns: ['word', 'rank', 'neighbor', 'score', 'pos'] };
+  throw new Error(`no table view for "${kind}"`);
+}
@@ -0,0 +1,133 @@
+import { gaussian } from './random.js';
+
+// Exact t-SNE (van der Maaten & Hinton) for the few hundred points of one
+// chart: O(n²) per iteration, with early exaggeration, momentum and gains as
+// in the reference implementation. `random` makes the layout reproducible.
+
+const EXAGGERATION = 12;
+const EXAGGERATION_ITERATIONS = 100;
+const MOMENTUM_SWITCH = 250;
+
+// conditional probabilities of one row with the precision (beta) found by
+// binary search so that the row's perplexity matches the target
+function rowAffinities(D, n, i, logPerplexity, out) {
+  let beta = 1;
+  let betaMin = -Infinity;
+  let betaMax = Infinity;
+  for (let tries = 0; tries < 50; tries++) {
+    let sum = 0;
+    let weighted = 0;
+    for (let j = 0; j < n; j++) {
+      const p = j === i ? 0 : Math.exp(-D[i * n + j] * beta);
+      out[j] = p;
+      sum += p;
+      weighted += p * D[i * n + j];
+    }
+    sum = sum || 1e-12;
+    const entropy = Math.log(sum) + (beta * weighted) / sum;
+    for (let j = 0; j < n; j++) out[j] /= sum;
+    const diff = entropy - logPerplexity;
+    if (Math.abs(diff) < 1e-5) break;
+    if (diff > 0) {
+      betaMin = beta;
+      beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+    } else {
+      betaMax = beta;
+      beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2;
+    }
+  }
+}
+
+// X: array of vectors; returns { Y: n × dims arrays, kl: final KL divergence }
+export function tsne(X, { dims = 3, perplexity = 30, iterations = 500, learningRate = 200, random = Math.random } = {}) {
+  const n = X.length;
+  const D = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let d = 0;
+      for (let c = 0; c < X[i].length; c++) d += (X[i][c] - X[j][c]) ** 2;
+      D[i * n + j] = d;
+      D[j * n + i] = d;
+    }
+  }
+
+  // symmetric joint probabilities
+  const P = new Float64Array(n * n);
+  const row = new Float64Array(n);
+  const logPerplexity = Math.log(perplexity);
+  for (let i = 0; i < n; i++) {
+    rowAffinities(D, n, i, logPerplexity, row);
+    P.set(row, i * n);
+  }
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+      P[i * n + j] = p;
+      P[j * n + i] = p;
+    }
+  }
+
+  const normal = gaussian(random);
+  const Y = new Float64Array(n * dims).map(() => normal() * 1e-4);
+  const update = new Float64Array(n * dims);
+  const gains = new Float64Array(n * dims).fill(1);
+  const num = new Float64Array(n * n);
+  const grad = new Float64Array(n * dims);
+
+  let sumQ = 0;
+  const computeQ = () => {
+    sumQ = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let d = 0;
+        for (let c = 0; c < dims; c++) d += (Y[i * dims + c] - Y[j * dims + c]) ** 2;
+        const q = 1 / (1 + d);
+        num[i * n + j] = q;
+        num[j * n + i] = q;
+        sumQ += 2 * q;
+      }
+    }
+    sumQ = sumQ || 1e-12;
+  };
+
+  for (let t = 0; t < iterations; t++) {
+    const exaggeration = t < EXAGGERATION_ITERATIONS ? EXAGGERATION : 1;
+    const momentum = t < MOMENTUM_SWITCH ? 0.5 : 0.8;
+    computeQ();
+    grad.fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const q = num[i * n + j];
+        const mult = 4 * (exaggeration * P[i * n + j] - Math.max(q / sumQ, 1e-12)) * q;
+        for (let c = 0; c < dims; c++) grad[i * dims + c] += mult * (Y[i * dims + c] - Y[j * dims + c]);
+      }
+    }
+    for (let x = 0; x < Y.length; x++) {
+      gains[x] = Math.sign(grad[x]) !== Math.sign(update[x]) ? gains[x] + 0.2 : Math.max(gains[x] * 0.8, 0.01);
+      update[x] = momentum * update[x] - learningRate * gains[x] * grad[x];
+      Y[x] += update[x];
+    }
+    // keep the layout centered
+    for (let c = 0; c < dims; c++) {
+      let mean = 0;
+      for (let i = 0; i < n; i++) mean += Y[i * dims + c];
+      mean /= n;
+      for (let i = 0; i < n; i++) Y[i * dims + c] -= mean;
+    }
+  }
+
+  computeQ();
+  let kl = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const p = P[i * n + j];
+      kl += p * Math.log(p / Math.max(num[i * n + j] / sumQ, 1e-12));
+    }
+  }
+
+  const rows = [];
+  for (let i = 0; i < n; i++) rows.push(Array.from(Y.subarray(i * dims, (i + 1) * dims)));
+  return { Y: rows, kl };
+}
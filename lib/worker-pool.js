@@ -0,0 +1,144 @@
+import { Worker } from 'worker_threads';
+import readline from 'readline';
+
+// Fixed-size pool of worker threads running `file` (see worker.js). Tasks wait
+// in a bounded FIFO queue until a worker is free; each worker runs one task at
+// a time, so the pool size is the concurrency limit. A task that outlives its
+// timeout (queue wait included) is rejected and, if it was running, its worker
+// is terminated and replaced since a busy thread cannot be interrupted.
+
+export class PoolBusyError extends Error {}
+export class PoolTimeoutError extends Error {}
+
+export class WorkerPool {
+  constructor(file, { size = 1, maxQueue = 256, timeout = 30000 } = {}) {
+    this.file = file;
+    this.size = Math.max(1, size);
+    this.maxQueue = maxQueue;
+    this.timeout = timeout;
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.counts = { completed: 0, failed: 0, timedOut: 0, rejected: 0, restarted: 0 };
+    this.slots = Array.from({ length: this.size }, (_, index) => {
+      const slot = { index, worker: null, job: null, lastError: null };
+      this.spawn(slot);
+      return slot;
+    });
+  }
+
+  spawn(slot) {
+    // worker output goes through this thread's console, so redirecting
+    // console.log (as the CLI does, to keep stdout for results) covers it too
+    const worker = new Worker(this.file, { stdout: true });
+    readline.createInterface({ input: worker.stdout }).on('line', (line) => console.log(line));
+    slot.worker = worker;
+    slot.job = null;
+    slot.lastError = null;
+    worker.on('message', (msg) => this.onMessage(slot, worker, msg));
+    worker.on('error', (e) => { slot.lastError = e; });
+    worker.on('exit', (code) => this.onExit(slot, worker, code));
+  }
+
+  // run a task on the next free worker; resolves with the worker's result
+  run(task, payload, options = {}) {
+    return this.enqueue(task, payload, options, null);
+  }
+
+  // run a task once on every worker (e.g. to load a model everywhere)
+  broadcast(task, payload, options = {}) {
+    return Promise.all(this.slots.map(slot => this.enqueue(task, payload, options, slot)));
+  }
+
+  enqueue(task, payload, { timeout = this.timeout, transfer = [] } = {}, slot) {
+    if (this.closed) return Promise.reject(new Error('worker pool is closed'));
+    if (!slot && this.queue.length >= this.maxQueue) {
+      this.counts.rejected++;
+      return Promise.reject(new PoolBusyError(`server busy: ${this.queue.length} tasks already queued`));
+    }
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, task, payload, transfer, slot, timeout, resolve, reject, timer: null, done: false };
+      if (timeout > 0) job.timer = setTimeout(() => this.expire(job), timeout);
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.slots) {
+      if (slot.job) continue;
+      const i = this.queue.findIndex(job => !job.slot || job.slot === slot);
+      if (i < 0) continue;
+      const [job] = this.queue.splice(i, 1);
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+    }
+  }
+
+  finish(job, error, result) {
+    if (job.done) return;
+    job.done = true;
+    clearTimeout(job.timer);
+    if (error) {
+      this.counts.failed++;
+      job.reject(error);
+    } else {
+      this.counts.completed++;
+      job.resolve(result);
+    }
+  }
+
+  onMessage(slot, worker, { id, result, error }) {
+    if (slot.worker !== worker || !slot.job || slot.job.id !== id) return;
+    const job = slot.job;
+    slot.job = null;
+    this.finish(job, error ? new Error(error) : null, result);
+    this.dispatch();
+  }
+
+  onExit(slot, worker, code) {
+    if (slot.worker !== worker || this.closed) return;
+    if (slot.job) this.finish(slot.job, new Error(`worker exited (${slot.lastError?.message || `code ${code}`})`));
+    this.restart(slot);
+  }
+
+  expire(job) {
+    if (job.done) return;
+    this.counts.timedOut++;
+    const queued = this.queue.indexOf(job);
+    if (queued >= 0) this.queue.splice(queued, 1);
+    this.finish(job, new PoolTimeoutError(`${job.task} task timed out after ${job.timeout} ms`));
+    const slot = this.slots.find(s => s.job === job);
+    if (slot) {
+      const worker = slot.worker;
+      this.restart(slot);
+      worker.terminate();
+    }
+  }
+
+  restart(slot) {
+    this.counts.restarted++;
+    this.spawn(slot);
+    this.dispatch();
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      busy: this.slots.filter(s => s.job).length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      timeoutMs: this.timeout,
+      ...this.counts
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const job of this.queue.splice(0)) this.finish(job, new Error('worker pool is closed'));
+    await Promise.all(this.slots.map(slot => {
+      if (slot.job) this.finish(slot.job, new Error('worker pool is closed'));
+      return slot.worker.terminate();
+    }));
+  }
+}
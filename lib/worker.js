@@ -0,0 +1,58 @@
+import { parentPort } from 'worker_threads';
+import { loadEmbedder } from './embedder.js';
+import { createMatrix } from './matrix.js';
+import { scanAnalogy } from './analogy.js';
+import { fitBasis, projectPoints } from './projection.js';
+
+// Worker thread of the pool (see worker-pool.js): owns its own embedding
+// pipelines and scans the SharedArrayBuffer-backed matrices it is sent.
+
+const embedders = new Map(); // model id -> promise of a loaded embedder
+
+function getEmbedder(modelId) {
+  if (!embedders.has(modelId)) {
+    const loading = loadEmbedder(modelId);
+    loading.catch(() => embedders.delete(modelId));
+    embedders.set(modelId, loading);
+  }
+  return embedders.get(modelId);
+}
+
+// each task returns { result, transfer }
+const tasks = {
+  async load({ modelId }) {
+    const { dim } = await getEmbedder(modelId);
+    return { result: { dim } };
+  },
+
+  // vectors come back packed in one transferable buffer
+  async embed({ modelId, texts }) {
+    const { dim, embed } = await getEmbedder(modelId);
+    const vecs = await embed(texts);
+    const data = new Float32Array(vecs.length * dim);
+    vecs.forEach((v, i) => data.set(v, i * dim));
+    return { result: { dim, data }, transfer: [data.buffer] };
+  },
+
+  scan({ matrix, ...query }) {
+    return { result: scanAnalogy(createMatrix(matrix), query) };
+  },
+
+  project({ vectors, options }) {
+    return { result: projectPoints(vectors, options) };
+  },
+
+  basis({ matrix, options }) {
+    return { result: fitBasis(createMatrix(matrix), options) };
+  }
+};
+
+parentPort.on('message', async ({ id, task, payload }) => {
+  try {
+    if (!tasks[task]) throw new Error(`unknown task "${task}"`);
+    const { result, transfer = [] } = await tasks[task](payload);
+    parentPort.postMessage({ id, result }, transfer);
+  } catch (e) {
+    parentPort.postMessage({ id, error: e?.message || String(e) });
+  }
+});
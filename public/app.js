@@ -6,14 +6,16 @@ const KIND_COLOR_VARS = {
   target: '--target',
   predicted: '--pred',
   seedFrom: '--seedFrom',
-  seedTo: '--seedTo'
+  seedTo: '--seedTo',
+  waypoint: '--trajectory'
 };
 const KIND_LABELS = {
   neighbor: 'Neighbor',
   target: 'Target',
   predicted: 'Predicted',
   seedFrom: 'Seed (from)',
-  seedTo: 'Seed (to)'
+  seedTo: 'Seed (to)',
+  waypoint: 'α trajectory'
 };
 
 const els = {
@@ -23,30 +25,135 @@ const els = {
   k: document.getElementById('k'),
   kVal: document.getElementById('kVal'),
   template: document.getElementById('template'),
+  model: document.getElementById('model'),
+  projection: document.getElementById('projection'),
+  projectionInfo: document.getElementById('projectionInfo'),
+  aggregation: document.getElementById('aggregation'),
+  scoring: document.getElementById('scoring'),
+  strength: document.getElementById('strength'),
+  strengthVal: document.getElementById('strengthVal'),
+  trajectory: document.getElementById('trajectory'),
+  trajectoryFrom: document.getElementById('trajectoryFrom'),
+  trajectoryTo: document.getElementById('trajectoryTo'),
+  trajectorySteps: document.getElementById('trajectorySteps'),
+  trajectoryCard: document.getElementById('trajectoryCard'),
+  trajectorySummary: document.getElementById('trajectorySummary'),
+  trajectoryBody: document.querySelector('#trajectoryTable tbody'),
   includeSeeds: document.getElementById('includeSeeds'),
   excludeInputs: document.getElementById('excludeInputs'),
   runBtn: document.getElementById('runBtn'),
+  diagCard: document.getElementById('diagCard'),
+  diagBody: document.querySelector('#diagTable tbody'),
+  diagSummary: document.getElementById('diagSummary'),
+  diagMatrixHead: document.querySelector('#diagMatrix thead'),
+  diagMatrixBody: document.querySelector('#diagMatrix tbody'),
+  benchmarkFile: document.getElementById('benchmarkFile'),
+  evalBtn: document.getElementById('evalBtn'),
+  evalSummary: document.getElementById('evalSummary'),
+  evalTable: document.getElementById('evalTable'),
+  evalBody: document.querySelector('#evalTable tbody'),
+  evalDetails: document.getElementById('evalDetails'),
+  evalQuestionsBody: document.querySelector('#evalQuestions tbody'),
+  compareModel: document.getElementById('compareModel'),
+  compareTemplate: document.getElementById('compareTemplate'),
+  compareExpected: document.getElementById('compareExpected'),
+  compareBtn: document.getElementById('compareBtn'),
+  compareSummary: document.getElementById('compareSummary'),
+  compareTable: document.getElementById('compareTable'),
+  compareHead: document.querySelector('#compareTable thead'),
+  compareBody: document.querySelector('#compareTable tbody'),
+  mineBtn: document.getElementById('mineBtn'),
+  mineMatchPos: document.getElementById('mineMatchPos'),
+  mineCard: document.getElementById('mineCard'),
+  mineSummary: document.getElementById('mineSummary'),
+  mineBody: document.querySelector('#mineTable tbody'),
+  mineAddAllBtn: document.getElementById('mineAddAllBtn'),
+  roundTrip: document.getElementById('roundTrip'),
+  inverseResult: document.getElementById('inverseResult'),
+  inverseBtn: document.getElementById('inverseBtn'),
+  inverseSummary: document.getElementById('inverseSummary'),
+  inverseTable: document.getElementById('inverseTable'),
+  inverseBody: document.querySelector('#inverseTable tbody'),
+  batchTargets: document.getElementById('batchTargets'),
+  expression: document.getElementById('expression'),
+  expressionBtn: document.getElementById('expressionBtn'),
+  batchBtn: document.getElementById('batchBtn'),
+  batchCard: document.getElementById('batchCard'),
+  batchBody: document.querySelector('#batchTable tbody'),
   rebuildBtn: document.getElementById('rebuildBtn'),
   chart: document.getElementById('chart'),
+  selectionBar: document.getElementById('selectionBar'),
+  selectionInfo: document.getElementById('selectionInfo'),
+  clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+  exportButtons: Array.from(document.querySelectorAll('#exportBar button')),
   tableBody: document.querySelector('#neighborsTable tbody'),
   posChecks: Array.from(document.querySelectorAll('.pos')),
+  filterPattern: document.getElementById('filterPattern'),
+  filterPrefix: document.getElementById('filterPrefix'),
+  filterSuffix: document.getElementById('filterSuffix'),
+  filterMinLength: document.getElementById('filterMinLength'),
+  filterMaxLength: document.getElementById('filterMaxLength'),
+  filterMinScore: document.getElementById('filterMinScore'),
+  filterBlocklist: document.getElementById('filterBlocklist'),
+  saveName: document.getElementById('saveName'),
+  saveTags: document.getElementById('saveTags'),
+  saveNotes: document.getElementById('saveNotes'),
+  saveBtn: document.getElementById('saveBtn'),
+  historyQuery: document.getElementById('historyQuery'),
+  historyTag: document.getElementById('historyTag'),
+  historySummary: document.getElementById('historySummary'),
+  historyTable: document.getElementById('historyTable'),
+  historyBody: document.querySelector('#historyTable tbody'),
 };
 
 let lastResult = null;
+let lastRequest = null;
+let lastBatch = null;
+let lastCompare = null;
+let lastMine = null;
 let threeCtx = null;
 let statusRetryTimer = null;
 
+// one pair per line, separated by a comma, tab, →, -> or =>; either side may
+// be a phrase (`ice cream` or `ice_cream`)
 function parsePairs(text) {
   const lines = text.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
   return lines.map(line => {
-    let parts = line.split('→');
-    if (parts.length < 2) parts = line.split(',');
+    const parts = line.split(/\s*(?:→|->|=>|,|\t)\s*/).map(p => p.replace(/\s+/g, ' '));
     const a = (parts[0] || '').trim();
     const b = (parts[1] || '').trim();
-    return a && b ? [a, b] : null;
+    if (!a || !b) return null;
+    // optional third value is the pair weight
+    const weight = Number((parts[2] || '').trim());
+    return parts[2] !== undefined && Number.isFinite(weight) ? [a, b, weight] : [a, b];
   }).filter(Boolean);
 }
 
+function readMethod() {
+  return {
+    aggregation: els.aggregation.value,
+    scoring: els.scoring.value
+  };
+}
+
+// server-side neighbor filters; unchecked POS boxes become an include list
+function readFilters() {
+  const filters = {};
+  const checked = els.posChecks.filter(c => c.checked).map(c => c.value);
+  if (checked.length < els.posChecks.length) filters.pos = { include: checked };
+  const text = (el) => el.value.trim() || undefined;
+  const number = (el) => (el.value.trim() === '' ? undefined : Number(el.value));
+  filters.pattern = text(els.filterPattern);
+  filters.prefix = text(els.filterPrefix);
+  filters.suffix = text(els.filterSuffix);
+  filters.minLength = number(els.filterMinLength);
+  filters.maxLength = number(els.filterMaxLength);
+  filters.minScore = number(els.filterMinScore);
+  const blocklist = els.filterBlocklist.value.split(',').map(s => s.trim()).filter(Boolean);
+  if (blocklist.length) filters.blocklist = blocklist;
+  return filters;
+}
+
 function classifyPOS(word) {
   const doc = window.nlp(word);
   if (doc.nouns().out('array').includes(word)) return 'Noun';
@@ -93,6 +200,10 @@ function posFilterActive() {
   };
 }
 
+// words, labels and names may come from a link or a saved experiment: escape
+// every one that goes into innerHTML
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
 function getCssVar(name) {
   const value = getComputedStyle(document.documentElement).getPropertyValue(name);
   return value && value.trim() ? value.trim() : '#ffffff';
@@ -148,6 +259,16 @@ function ensureThreeContext() {
   emptyState.textContent = 'Run the translation to populate the 3D projection.';
   container.appendChild(emptyState);
 
+  const menu = document.createElement('div');
+  menu.className = 'chart-menu';
+  menu.hidden = true;
+  container.appendChild(menu);
+
+  const box = document.createElement('div');
+  box.className = 'chart-box';
+  box.hidden = true;
+  container.appendChild(box);
+
   const ctx = {
     container,
     renderer,
@@ -158,11 +279,14 @@ function ensureThreeContext() {
     frame,
     tooltip,
     emptyState,
+    menu,
+    box,
     raycaster: new THREE.Raycaster(),
     pointer: new THREE.Vector2(),
     pickables: [],
     hovered: null,
     autoRotate: true,
+    paused: false, // a point menu is open or a point has keyboard focus
   };
 
   function resize() {
@@ -186,7 +310,7 @@ function ensureThreeContext() {
 
   function animate() {
     requestAnimationFrame(animate);
-    if (ctx.autoRotate) {
+    if (ctx.autoRotate && !ctx.paused) {
       ctx.group.rotation.y += 0.0025;
     }
     controls.update();
@@ -194,76 +318,118 @@ function ensureThreeContext() {
   }
   animate();
 
-  function handlePointer(event) {
-    if (!ctx.pickables.length) {
-      tooltip.style.opacity = 0;
-      return;
-    }
-
+  // the point under a pointer event, or null
+  function pick(event) {
+    if (!ctx.pickables.length) return null;
     const rect = renderer.domElement.getBoundingClientRect();
     ctx.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     ctx.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     ctx.raycaster.setFromCamera(ctx.pointer, camera);
     const intersects = ctx.raycaster.intersectObjects(ctx.pickables, false);
+    return intersects.length ? intersects[0].object : null;
+  }
 
-    if (intersects.length) {
-      const obj = intersects[0].object;
-      if (ctx.hovered && ctx.hovered !== obj) {
-        ctx.hovered.scale.setScalar(ctx.hovered.userData.baseScale || 1);
-      }
-      ctx.hovered = obj;
-      const baseScale = obj.userData.baseScale || obj.scale.x;
-      obj.userData.baseScale = baseScale;
-      obj.scale.setScalar(baseScale * 10);
-
-      const { label, kind, score } = obj.userData;
-      const kindLabel = KIND_LABELS[kind] || kind;
-      let html = `<strong>${label}</strong><br/><span class="badge">${kindLabel}</span>`;
-      if (typeof score === 'number') {
-        html += `<div>cosine: ${score.toFixed(4)}</div>`;
-      }
-      tooltip.innerHTML = html;
-
-      const cx = event.clientX - rect.left;
-      const cy = event.clientY - rect.top;
-      tooltip.style.left = `${cx}px`;
-      tooltip.style.top = `${cy}px`;
-      tooltip.style.opacity = 1;
-    } else {
-      if (ctx.hovered) {
-        ctx.hovered.scale.setScalar(ctx.hovered.userData.baseScale || 1);
-        ctx.hovered = null;
-      }
-      tooltip.style.opacity = 0;
+  // enlarge a point and show its tooltip at (cx, cy), in chart pixels
+  function hover(obj, cx, cy) {
+    if (ctx.hovered && ctx.hovered !== obj) unhover();
+    ctx.hovered = obj;
+    const baseScale = obj.userData.baseScale || obj.scale.x;
+    obj.userData.baseScale = baseScale;
+    obj.scale.setScalar(baseScale * 10);
+
+    const { label, kind, score, alpha } = obj.userData;
+    const kindLabel = KIND_LABELS[kind] || kind;
+    let html = `<strong>${escapeHTML(label)}</strong><br/><span class="badge">${escapeHTML(kindLabel)}</span>`;
+    if (typeof alpha === 'number') {
+      html += `<div>α = ${alpha}</div>`;
     }
+    if (typeof score === 'number') {
+      html += `<div>score: ${score.toFixed(4)}</div>`;
+    }
+    tooltip.innerHTML = html;
+    tooltip.style.left = `${cx}px`;
+    tooltip.style.top = `${cy}px`;
+    tooltip.style.opacity = 1;
   }
 
-  renderer.domElement.addEventListener('pointermove', handlePointer);
-  renderer.domElement.addEventListener('pointerleave', () => {
+  function unhover() {
     if (ctx.hovered) {
       ctx.hovered.scale.setScalar(ctx.hovered.userData.baseScale || 1);
       ctx.hovered = null;
     }
     tooltip.style.opacity = 0;
-  });
+  }
+
+  ctx.pick = pick;
+  ctx.hover = hover;
+  ctx.unhover = unhover;
+
+  function handlePointer(event) {
+    const obj = pick(event);
+    if (!obj) {
+      unhover();
+      return;
+    }
+    const rect = renderer.domElement.getBoundingClientRect();
+    hover(obj, event.clientX - rect.left, event.clientY - rect.top);
+  }
+
+  renderer.domElement.addEventListener('pointermove', handlePointer);
+  renderer.domElement.addEventListener('pointerleave', unhover);
+  setupChartInteraction(ctx);
 
   threeCtx = ctx;
   return ctx;
 }
 
-function drawChart(result) {
-  const ctx = ensureThreeContext();
-  ctx.resize();
+const PROJECTION_LABELS = {
+  pca: 'PCA',
+  relation: 'Relation-aligned',
+  umap: 'UMAP',
+  tsne: 't-SNE'
+};
+
+// one line naming the projection and its diagnostics
+function describeProjection(projection) {
+  if (!projection) return '';
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const d = projection.diagnostics || {};
+  const parts = [PROJECTION_LABELS[projection.method] || projection.method];
+  if (projection.basis) parts.push(`fixed axes from ${projection.basis.sampleSize} vocab words`);
+  if (projection.explainedVariance.length) {
+    parts.push(projection.axes.slice(0, projection.explainedVariance.length)
+      .map((axis, i) => `${axis} ${pct(projection.explainedVariance[i])}`)
+      .join(' / '));
+  }
+  if (projection.method === 'umap') parts.push(`${d.nNeighbors} neighbors, min dist ${d.minDist}, seed ${d.seed}`);
+  if (projection.method === 'tsne') parts.push(`perplexity ${d.perplexity.toFixed(1)}, KL ${d.klDivergence.toFixed(3)}, seed ${d.seed}`);
+  if (typeof d.neighborPreservation === 'number') parts.push(`${pct(d.neighborPreservation)} of neighbors kept`);
+  if (d.fallback) parts.push(`${PROJECTION_LABELS[projection.requested]} unavailable: ${d.fallback}`);
+  return parts.join(' • ');
+}
 
+// chart points left by the POS checkboxes (seeds, target and prediction stay)
+function visiblePoints(result) {
   const keep = posFilterActive();
-  const filteredPoints = result.points.filter(p => {
+  return result.points.filter(p => {
     if (p.kind !== 'neighbor') return true;
     const posList = resolvePos(p.pos, p.label);
     return keep(posList);
   });
+}
+
+function drawChart(result) {
+  const ctx = ensureThreeContext();
+  ctx.resize();
+  els.projectionInfo.textContent = describeProjection(result.projection);
+
+  const filteredPoints = visiblePoints(result);
 
   ctx.tooltip.style.opacity = 0;
   ctx.hovered = null;
+  closePointMenu(ctx);
+  focusedPoint = -1;
+  updatePause(ctx);
 
   while (ctx.group.children.length) ctx.group.remove(ctx.group.children[0]);
   ctx.group.rotation.set(-0.35, 0, 0);
@@ -292,13 +458,17 @@ function drawChart(result) {
   const minZ = Math.min(...zs);
   const maxZ = Math.max(...zs);
 
-  const centerX = (minX + maxX) / 2;
-  const centerY = (minY + maxY) / 2;
-  const centerZ = (minZ + maxZ) / 2;
+  // a global basis keeps its frame (origin at the vocab mean, ±3 sd of PC1) so
+  // charts of different queries line up; otherwise fit the frame to the points
+  const basis = result.projection?.basis;
+  const fixed = basis ? 6 * Math.sqrt(basis.totalVariance * basis.explainedVariance[0]) : 0;
+  const centerX = fixed ? 0 : (minX + maxX) / 2;
+  const centerY = fixed ? 0 : (minY + maxY) / 2;
+  const centerZ = fixed ? 0 : (minZ + maxZ) / 2;
   const rangeX = maxX - minX;
   const rangeY = maxY - minY;
   const rangeZ = maxZ - minZ;
-  const maxRange = Math.max(rangeX, rangeY, rangeZ) || 1;
+  const maxRange = fixed || Math.max(rangeX, rangeY, rangeZ) || 1;
   const scale = 2.4;
 
   const smallGeom = new THREE.SphereGeometry(0.055, 24, 24);
@@ -348,11 +518,15 @@ function drawChart(result) {
 
   const idToObj = new Map();
   const pickables = [];
+  const waypointGeom = new THREE.SphereGeometry(0.035, 16, 16);
+  const steps = result.trajectory?.steps || [];
+  let lastWaypointLabel = null;
 
   filteredPoints.forEach(p => {
     const colorVar = KIND_COLOR_VARS[p.kind] || '--neighbor';
     const color = new THREE.Color(getCssVar(colorVar));
-    const geometry = p.kind === 'neighbor' ? smallGeom : (p.kind === 'predicted' ? largeGeom : mediumGeom);
+    const waypoint = p.kind === 'waypoint';
+    const geometry = waypoint ? waypointGeom : p.kind === 'neighbor' ? smallGeom : (p.kind === 'predicted' ? largeGeom : mediumGeom);
     const material = new THREE.MeshStandardMaterial({
       color,
       emissive: color.clone().multiplyScalar(0.25),
@@ -361,6 +535,7 @@ function drawChart(result) {
     });
 
     const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `${p.kind}:${p.label}`; // node names of the glTF export
     mesh.position.set(
       ((p.x - centerX) / maxRange) * scale,
       ((p.y - centerY) / maxRange) * scale,
@@ -368,11 +543,15 @@ function drawChart(result) {
     );
 
     const baseScale = p.kind === 'neighbor' ? 0.7 : (p.kind === 'predicted' ? 1.1 : 0.9);
+    const step = waypoint ? steps[Number(p.id.split(':')[1])] : null;
     mesh.scale.setScalar(baseScale);
     mesh.userData = {
+      id: p.id,
       label: p.label,
       kind: p.kind,
-      score: typeof p.score === 'number' ? p.score : null,
+      score: step ? step.score : (typeof p.score === 'number' ? p.score : null),
+      alpha: step ? step.alpha : null,
+      emissive: material.emissive.clone(),
       baseScale
     };
 
@@ -380,13 +559,32 @@ function drawChart(result) {
     pickables.push(mesh);
     idToObj.set(p.id, { mesh, position: mesh.position.clone() });
 
-    const label = createLabelSprite(p.label);
+    // along a trajectory, label only the waypoints where the nearest word changes
+    if (waypoint) {
+      if (p.label === lastWaypointLabel) return;
+      lastWaypointLabel = p.label;
+    }
+    const label = createLabelSprite(step ? `${p.label} (α ${step.alpha})` : p.label);
+    label.name = `label:${p.label}`;
     label.position.copy(mesh.position).add(new THREE.Vector3(baseScale * 0.28, baseScale * 0.12, 0));
     ctx.group.add(label);
   });
 
   ctx.pickables = pickables;
 
+  // the relation-aligned projection puts the relation on x: draw that axis
+  if (result.projection?.method === 'relation') {
+    const axisColor = new THREE.Color(getCssVar('--muted'));
+    const from = new THREE.Vector3(-scale / 2 - 0.2, ((minY - centerY) / maxRange) * scale - 0.2, 0);
+    const axis = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), from, scale + 0.4, axisColor.getHex(), 0.12, 0.08);
+    axis.line.material.transparent = true;
+    axis.line.material.opacity = 0.5;
+    ctx.group.add(axis);
+    const label = createLabelSprite('relation →');
+    label.position.copy(from).add(new THREE.Vector3(scale + 0.5, 0, 0));
+    ctx.group.add(label);
+  }
+
   const seedColor = new THREE.Color(getCssVar('--seedVector'));
   (result.seedLinks || []).forEach(link => {
     const from = idToObj.get(link.fromId);
@@ -403,6 +601,15 @@ function drawChart(result) {
     ctx.group.add(arrow);
   });
 
+  const path = steps.map((_, i) => idToObj.get(`waypoint:${i}`)?.position).filter(Boolean);
+  if (path.length > 1) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(path);
+    const material = new THREE.LineBasicMaterial({ color: new THREE.Color(getCssVar('--trajectory')), transparent: true, opacity: 0.8 });
+    const line = new THREE.Line(geometry, material);
+    line.name = 'trajectory';
+    ctx.group.add(line);
+  }
+
   const target = idToObj.get('target');
   const predicted = idToObj.get('predicted');
   if (target && predicted) {
@@ -418,25 +625,473 @@ function drawChart(result) {
       ctx.group.add(arrow);
     }
   }
+  paintSelection();
 }
 
-function renderNeighborsTable(neighbors) {
+// neighbors left by the POS checkboxes and the chart selection, with their
+// resolved POS
+function visibleNeighbors(neighbors) {
   const keep = posFilterActive();
-  const rows = neighbors
-    .map((n, i) => {
+  return neighbors
+    .map(n => {
       const posList = resolvePos(n.pos, n.word);
       return { ...n, posList, posLabel: posList.join(', ') };
     })
-    .filter(n => keep(n.posList));
+    .filter(n => keep(n.posList) && isSelected(`neighbor:${n.word}`));
+}
+
+function renderNeighborsTable(neighbors) {
+  const rows = visibleNeighbors(neighbors);
 
   els.tableBody.innerHTML = '';
   rows.forEach((n, i) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${i + 1}</td><td>${n.word}</td><td>${n.score.toFixed(4)}</td><td><span class="badge">${n.posLabel}</span></td>`;
+    const trip = n.roundTrip;
+    const back = trip ? (trip.returns ? '✓ #1' : `#${trip.rank} (${trip.landsOn})`) : '—';
+    tr.innerHTML = `<td>${i + 1}</td><td>${escapeHTML(n.word)}</td><td>${n.score.toFixed(4)}</td><td><span class="badge">${escapeHTML(n.posLabel)}</span></td><td>${escapeHTML(back)}</td>`;
     els.tableBody.appendChild(tr);
   });
 }
 
+// --- Chart interaction ---
+// Clicking a point opens a menu (use as target, seed pair sides, exclude,
+// select); shift-drag selects the points in a box, adding to the selection
+// with Ctrl / ⌘. With the chart focused, the arrow keys step through the
+// points, Enter opens the menu and Space selects. A selection narrows the
+// neighbors table and the table and point exports.
+const CLICK_SLOP = 4; // px a click may move before it counts as a drag
+const SELECTED_EMISSIVE = new THREE.Color(0xf8fafc).multiplyScalar(0.7);
+const chartSelection = new Set(); // point ids
+let focusedPoint = -1;            // index into the chart's pickables
+let pendingSeed = null;           // { from } or { to } waiting for the other side
+let lastQuery = 'search';         // what excluding a word re-runs
+
+const isSelected = (id) => !chartSelection.size || chartSelection.has(id);
+
+function localPoint(ctx, event) {
+  const rect = ctx.renderer.domElement.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+// chart pixels of a point; `visible` is false behind the camera
+function screenPosition(ctx, mesh) {
+  const v = mesh.getWorldPosition(new THREE.Vector3()).project(ctx.camera);
+  const rect = ctx.renderer.domElement.getBoundingClientRect();
+  return { x: ((v.x + 1) / 2) * rect.width, y: ((1 - v.y) / 2) * rect.height, visible: v.z < 1 };
+}
+
+function updatePause(ctx) {
+  ctx.paused = !ctx.menu.hidden || focusedPoint >= 0;
+}
+
+function paintSelection() {
+  if (threeCtx) {
+    threeCtx.pickables.forEach(mesh => {
+      mesh.material.emissive.copy(chartSelection.has(mesh.userData.id) ? SELECTED_EMISSIVE : mesh.userData.emissive);
+    });
+  }
+  const count = chartSelection.size;
+  els.selectionBar.hidden = !count;
+  els.selectionInfo.textContent = `${count} point${count === 1 ? '' : 's'} selected: the neighbors table and exports show the selection only.`;
+}
+
+function setSelection(ids, { add = false } = {}) {
+  if (!add) chartSelection.clear();
+  ids.forEach(id => chartSelection.add(id));
+  selectionChanged();
+}
+
+function toggleSelected(id) {
+  if (chartSelection.has(id)) chartSelection.delete(id);
+  else chartSelection.add(id);
+  selectionChanged();
+}
+
+function selectionChanged() {
+  paintSelection();
+  if (lastResult) renderNeighborsTable(lastResult.neighbors);
+}
+
+// a seed pair from two picks, either side first
+function pickSeed(side, word) {
+  const other = side === 'from' ? pendingSeed?.to : pendingSeed?.from;
+  if (other === undefined) {
+    pendingSeed = { [side]: word };
+    els.status.textContent = side === 'from'
+      ? `Seed pair ${word} → … : pick the “to” word in the chart.`
+      : `Seed pair … → ${word} : pick the “from” word in the chart.`;
+    return;
+  }
+  pendingSeed = null;
+  const [a, b] = side === 'from' ? [word, other] : [other, word];
+  addSeedPair(a, b);
+  els.status.textContent = `Added seed pair ${a} → ${b}.`;
+}
+
+// blocklist a neighbor and run the last query again
+function excludeWord(word) {
+  const blocklist = els.filterBlocklist.value.split(',').map(s => s.trim()).filter(Boolean);
+  if (!blocklist.includes(word)) blocklist.push(word);
+  els.filterBlocklist.value = blocklist.join(', ');
+  if (lastQuery === 'expression') runExpression();
+  else runSearch();
+}
+
+function closePointMenu(ctx = threeCtx) {
+  if (!ctx || ctx.menu.hidden) return;
+  ctx.menu.hidden = true;
+  updatePause(ctx);
+}
+
+// menu of a point at (x, y) in chart pixels; returns its first button
+function openPointMenu(ctx, mesh, x, y) {
+  const { id, label, kind } = mesh.userData;
+  const items = [];
+  // the predicted point is a vector, not a word
+  if (kind !== 'predicted') {
+    items.push([`Use “${label}” as target`, () => {
+      els.target.value = label;
+      runSearch();
+    }]);
+    items.push([pendingSeed?.to ? `Add seed pair ${label} → ${pendingSeed.to}` : `Seed from “${label}”`, () => pickSeed('from', label)]);
+    items.push([pendingSeed?.from ? `Add seed pair ${pendingSeed.from} → ${label}` : `Seed to “${label}”`, () => pickSeed('to', label)]);
+    if (kind === 'neighbor') items.push([`Exclude “${label}” from results`, () => excludeWord(label)]);
+  }
+  items.push([chartSelection.has(id) ? 'Deselect' : 'Select', () => toggleSelected(id)]);
+
+  ctx.menu.innerHTML = `<strong>${escapeHTML(label)}</strong>`;
+  const buttons = items.map(([text, action]) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', () => {
+      closePointMenu(ctx);
+      action();
+    });
+    ctx.menu.appendChild(button);
+    return button;
+  });
+  ctx.menu.hidden = false;
+  // keep the menu inside the chart
+  const { clientWidth: width, clientHeight: height } = ctx.container;
+  ctx.menu.style.left = `${Math.max(0, Math.min(x, width - ctx.menu.offsetWidth))}px`;
+  ctx.menu.style.top = `${Math.max(0, Math.min(y, height - ctx.menu.offsetHeight))}px`;
+  updatePause(ctx);
+  return buttons[0];
+}
+
+// keyboard focus on the i-th point (wrapping around), shown like a hover
+function focusPoint(ctx, i) {
+  const n = ctx.pickables.length;
+  focusedPoint = ((i % n) + n) % n;
+  const mesh = ctx.pickables[focusedPoint];
+  const { x, y } = screenPosition(ctx, mesh);
+  ctx.hover(mesh, x, y);
+  updatePause(ctx);
+}
+
+function blurPoint(ctx) {
+  focusedPoint = -1;
+  ctx.unhover();
+  updatePause(ctx);
+}
+
+function setupChartInteraction(ctx) {
+  const canvas = ctx.renderer.domElement;
+  let down = null; // pointer down: position and whether it draws a box
+
+  // capture phase, so a box selection starts before the orbit controls see the event
+  ctx.container.addEventListener('pointerdown', (event) => {
+    if (event.target !== canvas) return;
+    down = { ...localPoint(ctx, event), box: event.shiftKey, add: event.ctrlKey || event.metaKey };
+    if (down.box) {
+      ctx.controls.enabled = false;
+      canvas.setPointerCapture(event.pointerId);
+    }
+  }, { capture: true });
+
+  canvas.addEventListener('pointermove', (event) => {
+    if (!down?.box) return;
+    const at = localPoint(ctx, event);
+    Object.assign(ctx.box.style, {
+      left: `${Math.min(at.x, down.x)}px`,
+      top: `${Math.min(at.y, down.y)}px`,
+      width: `${Math.abs(at.x - down.x)}px`,
+      height: `${Math.abs(at.y - down.y)}px`
+    });
+    ctx.box.hidden = false;
+  });
+
+  const finish = (event) => {
+    if (!down) return;
+    const start = down;
+    down = null;
+    const at = localPoint(ctx, event);
+    const moved = Math.hypot(at.x - start.x, at.y - start.y) > CLICK_SLOP;
+    if (start.box) {
+      ctx.controls.enabled = true;
+      ctx.box.hidden = true;
+      if (event.type === 'pointercancel') return;
+      if (!moved) {
+        // shift-click toggles one point
+        const mesh = ctx.pick(event);
+        if (mesh) toggleSelected(mesh.userData.id);
+        return;
+      }
+      const [x0, x1] = [Math.min(at.x, start.x), Math.max(at.x, start.x)];
+      const [y0, y1] = [Math.min(at.y, start.y), Math.max(at.y, start.y)];
+      const inside = ctx.pickables.filter(mesh => {
+        const p = screenPosition(ctx, mesh);
+        return p.visible && p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1;
+      });
+      setSelection(inside.map(mesh => mesh.userData.id), { add: start.add });
+      return;
+    }
+    // a drag rotated the view
+    if (moved || event.type === 'pointercancel') return;
+    const mesh = ctx.pick(event);
+    if (mesh) openPointMenu(ctx, mesh, at.x, at.y);
+    else closePointMenu(ctx);
+  };
+  canvas.addEventListener('pointerup', finish);
+  canvas.addEventListener('pointercancel', finish);
+
+  document.addEventListener('pointerdown', (event) => {
+    if (!ctx.menu.contains(event.target) && event.target !== canvas) closePointMenu(ctx);
+  });
+
+  ctx.menu.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    closePointMenu(ctx);
+    ctx.container.focus();
+  });
+
+  ctx.container.addEventListener('keydown', (event) => {
+    // menu buttons handle their own keys
+    if (event.target !== ctx.container || !ctx.pickables.length) return;
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        focusPoint(ctx, focusedPoint + 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        focusPoint(ctx, focusedPoint < 0 ? -1 : focusedPoint - 1);
+        break;
+      case 'Home':
+        focusPoint(ctx, 0);
+        break;
+      case 'End':
+        focusPoint(ctx, -1);
+        break;
+      case 'Enter': {
+        if (focusedPoint < 0) return;
+        const mesh = ctx.pickables[focusedPoint];
+        const { x, y } = screenPosition(ctx, mesh);
+        openPointMenu(ctx, mesh, x, y).focus();
+        break;
+      }
+      case ' ':
+        if (focusedPoint < 0) return;
+        toggleSelected(ctx.pickables[focusedPoint].userData.id);
+        break;
+      case 'Escape':
+        if (!ctx.menu.hidden) closePointMenu(ctx);
+        else blurPoint(ctx);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+}
+
+const DIAG_REASON_LABELS = {
+  'low-agreement': 'disagrees with relation',
+  'loo-miss': 'not recovered by other pairs'
+};
+
+function renderDiagnostics(diagnostics) {
+  if (!diagnostics || !diagnostics.pairs.length) {
+    els.diagCard.hidden = true;
+    return;
+  }
+
+  els.diagBody.innerHTML = '';
+  diagnostics.pairs.forEach((p, i) => {
+    const tr = document.createElement('tr');
+    if (p.flagged) tr.className = 'flagged';
+    const rank = p.looRank === null ? '—' : p.looRank;
+    const flags = p.reasons.map(r => `<span class="badge warn">${escapeHTML(DIAG_REASON_LABELS[r] || r)}</span>`).join(' ');
+    tr.innerHTML = `<td>${i + 1}</td><td>${escapeHTML(p.a)} → ${escapeHTML(p.b)}</td><td>${p.cosToRelation.toFixed(3)}</td><td>${escapeHTML(rank)}</td><td>${flags}</td>`;
+    els.diagBody.appendChild(tr);
+  });
+
+  const flagged = diagnostics.pairs.filter(p => p.flagged).length;
+  const mean = diagnostics.meanPairwiseSimilarity;
+  els.diagSummary.textContent = [
+    mean === null ? null : `mean pairwise delta similarity ${mean.toFixed(3)}`,
+    flagged ? `${flagged} pair(s) don't fit` : 'all pairs consistent'
+  ].filter(Boolean).join(' • ');
+
+  const n = diagnostics.similarity.length;
+  els.diagMatrixHead.innerHTML = `<tr><th></th>${diagnostics.pairs.map((_, i) => `<th>${i + 1}</th>`).join('')}</tr>`;
+  els.diagMatrixBody.innerHTML = '';
+  diagnostics.similarity.forEach((row, i) => {
+    const tr = document.createElement('tr');
+    const cells = row.map((v, j) => {
+      const alpha = i === j ? 0 : Math.max(0, v) * 0.6;
+      return `<td style="background: rgba(56, 189, 248, ${alpha.toFixed(2)})">${v.toFixed(2)}</td>`;
+    });
+    tr.innerHTML = `<th>${i + 1}</th>${cells.join('')}`;
+    els.diagMatrixBody.appendChild(tr);
+  });
+  document.getElementById('diagMatrix').hidden = n < 2;
+
+  els.diagCard.hidden = false;
+}
+
+function renderBatchTable(batch) {
+  const keep = posFilterActive();
+  els.batchBody.innerHTML = '';
+  batch.results.forEach(r => {
+    const words = r.neighbors
+      .filter(n => keep(resolvePos(n.pos, n.word)))
+      .map(n => `${escapeHTML(n.word)} <small>${n.score.toFixed(3)}</small>`);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td><strong>${escapeHTML(r.target)}</strong></td><td>${words.join(', ') || '—'}</td>`;
+    els.batchBody.appendChild(tr);
+  });
+  els.batchCard.hidden = false;
+}
+
+// side-by-side neighbor lists: words found by only one side are highlighted
+// and the expected answer is underlined
+function renderCompare(report) {
+  const keep = posFilterActive();
+  const expected = new Set(report.expected);
+  const lists = report.sides.map(s => s.neighbors.filter(n => keep(resolvePos(n.pos, n.word))));
+  els.compareHead.innerHTML = `<tr><th>#</th>${report.sides.map(s => `<th colspan="2">${escapeHTML(s.label)} <small>${s.dim}d</small></th>`).join('')}</tr>`;
+  els.compareBody.innerHTML = '';
+  const rows = Math.max(0, ...lists.map(l => l.length));
+  for (let r = 0; r < rows; r++) {
+    const cells = lists.map(list => {
+      const n = list[r];
+      if (!n) return '<td></td><td></td>';
+      const cls = [n.unique ? 'unique' : null, expected.has(n.word) ? 'expected' : null].filter(Boolean).join(' ');
+      return `<td class="${cls}">${escapeHTML(n.word)}</td><td>${n.score.toFixed(3)}</td>`;
+    });
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${r + 1}</td>${cells.join('')}`;
+    els.compareBody.appendChild(tr);
+  }
+
+  const fmt = (v) => (v === null ? '—' : v.toFixed(2));
+  const overlap = report.overlap.map(o => `Jaccard@${report.meta.k} ${fmt(o.jaccard)} • rank correlation ${fmt(o.rankCorrelation)} • ${o.shared} shared`);
+  const answers = report.expected.length
+    ? report.sides.map(s => `${s.label} ${s.expected.map(e => `${e.word}: ${e.inVocab ? `#${e.rank}` : 'not in vocab'}`).join(', ')}`)
+    : [];
+  els.compareSummary.textContent = [...overlap, ...answers].join(' • ');
+  els.compareTable.hidden = false;
+}
+
+function formatAcc(value) {
+  return value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function renderEvaluation(report) {
+  const rows = [...report.categories, { name: 'Overall', ...report.overall }];
+  els.evalBody.innerHTML = '';
+  rows.forEach(c => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escapeHTML(c.name)}</td><td>${c.evaluated}</td><td>${c.skipped}</td><td>${formatAcc(c.acc1)}</td><td>${formatAcc(c.acc5)}</td><td>${formatAcc(c.acc10)}</td>`;
+    els.evalBody.appendChild(tr);
+  });
+  els.evalTable.hidden = false;
+
+  els.evalQuestionsBody.innerHTML = '';
+  const question = (q) => `${escapeHTML(q.a)} : ${escapeHTML(q.b)} :: ${escapeHTML(q.c)} : ?`;
+  report.results.forEach(q => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${question(q)}</td><td>${escapeHTML(q.answers.join('/'))}</td><td>${escapeHTML(q.predicted || '—')}</td><td>${escapeHTML(q.rank)}</td>`;
+    els.evalQuestionsBody.appendChild(tr);
+  });
+  report.skipped.forEach(q => {
+    const tr = document.createElement('tr');
+    tr.className = 'flagged';
+    tr.innerHTML = `<td>${question(q)}</td><td>${escapeHTML(q.answers.join('/'))}</td><td colspan="2">skipped, missing: ${escapeHTML(q.missing.join(', '))}</td>`;
+    els.evalQuestionsBody.appendChild(tr);
+  });
+  els.evalDetails.hidden = false;
+
+  const { meta } = report;
+  els.evalSummary.textContent = `${report.file}: ${report.overall.evaluated} evaluated, ${report.overall.skipped} skipped`
+    + `${meta.truncated ? ` (first ${report.overall.questions} of ${meta.totalQuestions})` : ''}`
+    + ` • ${meta.method.aggregation}/${meta.method.scoring} • ${(meta.ms / 1000).toFixed(1)}s`;
+}
+
+async function loadBenchmarks() {
+  try {
+    const resp = await fetch('/api/benchmarks');
+    const json = await resp.json();
+    if (json.error) throw new Error(json.error);
+    els.benchmarkFile.replaceChildren(...json.files.map(f => new Option(f, f)));
+    els.evalBtn.disabled = !json.files.length;
+  } catch (e) {
+    console.error('Benchmark listing failed:', e);
+    els.evalBtn.disabled = true;
+  }
+}
+
+async function runEvaluation() {
+  const file = els.benchmarkFile.value;
+  if (!file) return;
+  els.evalBtn.disabled = true;
+  els.evalSummary.textContent = `Evaluating ${file}…`;
+  try {
+    const json = await postSearch('/api/evaluate', {
+      file,
+      contextTemplate: els.template.value.trim() || '{w}',
+      model: readModel(),
+      method: readMethod()
+    });
+    renderEvaluation(json);
+  } catch (e) {
+    console.error(e);
+    alert('Evaluation failed: ' + e.message);
+    els.evalSummary.textContent = 'Error.';
+  } finally {
+    els.evalBtn.disabled = false;
+  }
+}
+
+// model picker, keeping the current choice; defaults to the active model
+function renderModelOptions(status) {
+  const list = status.models || [];
+  const current = els.model.value || status.model;
+  els.model.innerHTML = '';
+  list.forEach(m => {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    const details = [m.dim ? `${m.dim}d` : null, m.state === 'ready' ? null : m.state].filter(Boolean).join(', ');
+    opt.textContent = details ? `${m.id} (${details})` : m.id;
+    els.model.appendChild(opt);
+  });
+  if (list.some(m => m.id === current)) els.model.value = current;
+  const compareWith = els.compareModel.value || current;
+  els.compareModel.innerHTML = els.model.innerHTML;
+  if (list.some(m => m.id === compareWith)) els.compareModel.value = compareWith;
+}
+
+// `pca-global` is PCA on the fixed per-matrix basis
+function readProjection() {
+  const value = els.projection.value;
+  return value === 'pca-global' ? { method: 'pca', basis: 'global' } : value;
+}
+
+function readModel() {
+  return els.model.value || undefined;
+}
+
 async function initStatus({ retry = true } = {}) {
   if (statusRetryTimer) {
     clearTimeout(statusRetryTimer);
@@ -449,7 +1104,9 @@ async function initStatus({ retry = true } = {}) {
       throw new Error(`HTTP ${resp.status}`);
     }
     const r = await resp.json();
-    els.status.textContent = `Model: ${r.model} • dim=${r.dim || '…'} • vocab=${r.vocabSize || 0}`;
+    renderModelOptions(r);
+    els.status.textContent = `Model: ${r.model} • dim=${r.dim || '…'} • vocab=${r.vocabSize || 0}`
+      + (r.contextTemplate ? ` • template “${r.contextTemplate}”` : '');
     return true;
   } catch (err) {
     console.error('Status check failed:', err);
@@ -461,65 +1118,751 @@ async function initStatus({ retry = true } = {}) {
   }
 }
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST to an endpoint that searches the vocab matrix. When the matrix for the
+// requested template is not built yet the server answers 202 and builds it in
+// the background; poll the build and retry once it is done.
+async function postSearch(url, body) {
+  for (;;) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, build: 'background' })
+    });
+    const json = await resp.json();
+    if (resp.status !== 202) {
+      if (json.error) throw new Error(json.error);
+      return json;
+    }
+    await waitForBuild(json.signature);
+  }
+}
+
+async function waitForBuild(signature) {
+  for (;;) {
+    const resp = await fetch(`/api/builds/${signature}`);
+    const job = await resp.json();
+    if (job.error && !job.state) throw new Error(job.error);
+    if (job.state === 'done') return;
+    if (job.state === 'failed') throw new Error(`matrix build failed: ${job.error}`);
+    els.status.textContent = `Building matrix for template “${job.contextTemplate}”… ${job.done} / ${job.total}`;
+    await sleep(1000);
+  }
+}
+
 async function rebuildCache() {
   const contextTemplate = els.template.value.trim() || '{w}';
   els.rebuildBtn.disabled = true;
   els.status.textContent = 'Rebuilding cache… (first time takes a bit)';
   try {
-    await fetch('/api/rebuild', {
+    const resp = await fetch('/api/rebuild', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contextTemplate })
+      body: JSON.stringify({ contextTemplate, model: readModel() })
     });
+    if (!resp.ok) throw new Error((await resp.json()).error || `HTTP ${resp.status}`);
     await initStatus();
   } catch (e) {
     console.error(e);
-    alert('Rebuild failed: ' + e);
+    alert('Rebuild failed: ' + e.message);
   } finally {
     els.rebuildBtn.disabled = false;
   }
 }
 
-async function runSearch() {
+// the /api/search body for the current form
+function readRequest() {
+  return {
+    pairs: parsePairs(els.pairs.value),
+    target: els.target.value.trim(),
+    k: Number(els.k.value),
+    contextTemplate: els.template.value.trim() || '{w}',
+    model: readModel(),
+    projection: readProjection(),
+    roundTrip: els.roundTrip.checked,
+    includeSeeds: els.includeSeeds.checked,
+    excludeInputs: els.excludeInputs.checked,
+    method: readMethod(),
+    strength: Number(els.strength.value),
+    trajectory: readTrajectory(),
+    filters: readFilters()
+  };
+}
+
+function readTrajectory() {
+  if (!els.trajectory.checked) return undefined;
+  return {
+    from: Number(els.trajectoryFrom.value),
+    to: Number(els.trajectoryTo.value),
+    steps: Number(els.trajectorySteps.value)
+  };
+}
+
+// `push: false` when replaying a permalink, which is already the current entry
+async function runSearch({ push = true } = {}) {
+  const body = readRequest();
+  if (!body.pairs.length) {
+    alert('Please provide at least one valid pair.');
+    return;
+  }
+  els.runBtn.disabled = true;
+  els.status.textContent = 'Running…';
+  try {
+    const json = await postSearch('/api/search', body);
+    lastRequest = body;
+    lastQuery = 'search';
+    showSearchResult(json);
+    if (push) pushPermalink(body);
+  } catch (e) {
+    console.error(e);
+    alert('Search failed: ' + e.message);
+    els.status.textContent = 'Error.';
+  } finally {
+    els.runBtn.disabled = false;
+  }
+}
+
+// render a search response (fresh or from a saved experiment)
+function showSearchResult(json) {
+  lastResult = json;
+  chartSelection.clear();
+  els.exportButtons.forEach(b => { b.disabled = false; });
+  els.saveBtn.disabled = !lastRequest;
+
+  renderNeighborsTable(json.neighbors);
+  renderDiagnostics(json.diagnostics);
+  drawChart(json);
+  renderTrajectory(json.trajectory);
+
+  const { aggregation, scoring } = json.meta.method || {};
+  const { filters } = json.meta;
+  const filtered = filters && filters.allowedWords < json.meta.vocabSize ? ` • ${filters.allowedWords} words pass filters` : '';
+  const strength = json.meta.strength !== undefined && json.meta.strength !== 1 ? ` • α=${json.meta.strength}` : '';
+  els.status.textContent = `${json.meta.model} • k=${json.meta.k} • vocab=${json.meta.vocabSize}${filtered} • template “${json.meta.matrixTemplate}” • ${aggregation}/${scoring}${strength} • ${json.meta.search?.mode || 'exact'} search • ${describeProjection(json.projection)}`;
+}
+
+// nearest word at each α, with the words the trajectory passes through
+function renderTrajectory(trajectory) {
+  els.trajectoryCard.hidden = !trajectory;
+  els.trajectoryBody.innerHTML = '';
+  if (!trajectory) return;
+  const words = trajectory.steps.map(s => s.word).filter((w, i, all) => w && w !== all[i - 1]);
+  els.trajectorySummary.textContent = `α from ${trajectory.from} to ${trajectory.to}: ${words.join(' → ') || 'no words pass the filters'}`;
+  trajectory.steps.forEach(s => {
+    const tr = document.createElement('tr');
+    const score = typeof s.score === 'number' ? s.score.toFixed(4) : '—';
+    tr.innerHTML = `<td>${escapeHTML(s.alpha)}</td><td>${escapeHTML(s.word ?? '—')}</td><td>${score}</td><td><span class="badge">${escapeHTML((s.pos || []).join(', ') || '—')}</span></td>`;
+    els.trajectoryBody.appendChild(tr);
+  });
+  previewStrength();
+}
+
+// with a trajectory on the chart, point at the waypoint closest to the slider's α
+function previewStrength() {
+  const alpha = Number(els.strength.value);
+  els.strengthVal.textContent = alpha.toFixed(1);
+  const steps = lastResult?.trajectory?.steps;
+  if (!steps?.length) return;
+  let best = 0;
+  steps.forEach((s, i) => {
+    if (Math.abs(s.alpha - alpha) < Math.abs(steps[best].alpha - alpha)) best = i;
+  });
+  els.trajectoryBody.querySelectorAll('tr').forEach((tr, i) => tr.classList.toggle('current', i === best));
+  const mesh = threeCtx?.pickables.find(m => m.userData.id === `waypoint:${best}`);
+  if (!mesh) return;
+  const { x, y, visible } = screenPosition(threeCtx, mesh);
+  if (visible) threeCtx.hover(mesh, x, y);
+}
+
+// fill the form from a search request body; fields the request leaves out go
+// back to their defaults
+function applyRequest(body) {
+  els.pairs.value = (body.pairs || []).map(p => p.join(', ')).join('\n') + '\n';
+  els.target.value = body.target ?? '';
+  if (body.k) els.k.value = body.k;
+  els.kVal.textContent = els.k.value;
+  els.template.value = body.contextTemplate && body.contextTemplate !== '{w}' ? body.contextTemplate : '';
+  if (body.model && Array.from(els.model.options).some(o => o.value === body.model)) els.model.value = body.model;
+  const projection = body.projection ?? 'pca';
+  els.projection.value = typeof projection === 'object'
+    ? (projection.basis === 'global' ? 'pca-global' : projection.method)
+    : projection;
+  els.aggregation.value = body.method?.aggregation || 'mean';
+  els.scoring.value = body.method?.scoring || '3cosadd';
+  els.strength.value = body.strength ?? 1;
+  els.strengthVal.textContent = Number(els.strength.value).toFixed(1);
+  const trajectory = body.trajectory === true ? {} : body.trajectory;
+  els.trajectory.checked = !!trajectory;
+  els.trajectoryFrom.value = trajectory?.from ?? -1;
+  els.trajectoryTo.value = trajectory?.to ?? 3;
+  els.trajectorySteps.value = trajectory?.steps ?? 21;
+  els.roundTrip.checked = !!body.roundTrip;
+  els.includeSeeds.checked = body.includeSeeds !== false;
+  els.excludeInputs.checked = body.excludeInputs !== false;
+
+  const filters = body.filters || {};
+  const include = filters.pos?.include;
+  els.posChecks.forEach(c => { c.checked = !include || include.includes(c.value); });
+  els.filterPattern.value = filters.pattern ?? '';
+  els.filterPrefix.value = filters.prefix ?? '';
+  els.filterSuffix.value = filters.suffix ?? '';
+  els.filterMinLength.value = filters.minLength ?? '';
+  els.filterMaxLength.value = filters.maxLength ?? '';
+  els.filterMinScore.value = filters.minScore ?? '';
+  els.filterBlocklist.value = (filters.blocklist || []).join(', ');
+}
+
+// the search form's k, template, model, method, filters and projection applied
+// to a vector expression instead of a target and pairs
+async function runExpression({ push = true } = {}) {
+  const expression = els.expression.value.trim();
+  if (!expression) {
+    alert('Please enter an expression, e.g. king - man + woman.');
+    return;
+  }
+  const { pairs, target, roundTrip, strength, trajectory, ...options } = readRequest();
+  els.expressionBtn.disabled = true;
+  els.status.textContent = 'Evaluating…';
+  try {
+    const json = await postSearch('/api/expression', { ...options, expression });
+    // saved experiments hold pair / target searches only
+    lastRequest = null;
+    lastQuery = 'expression';
+    showSearchResult(json);
+    els.status.textContent = `${json.expression} • ${json.meta.model} • k=${json.meta.k} • template “${json.meta.matrixTemplate}” • ${json.meta.search?.mode || 'exact'} search • ${describeProjection(json.projection)}`;
+    if (push) pushPermalink(readRequest(), expression);
+  } catch (e) {
+    console.error(e);
+    alert('Expression failed: ' + e.message);
+    els.status.textContent = 'Error.';
+  } finally {
+    els.expressionBtn.disabled = false;
+  }
+}
+
+function parseTargets(text) {
+  return text.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+}
+
+async function runBatch() {
   const pairs = parsePairs(els.pairs.value);
+  const targets = parseTargets(els.batchTargets.value);
   if (!pairs.length) {
     alert('Please provide at least one valid pair.');
     return;
   }
+  if (!targets.length) {
+    alert('Please provide at least one batch target.');
+    return;
+  }
   const body = {
     pairs,
-    target: els.target.value.trim(),
+    targets,
     k: Number(els.k.value),
     contextTemplate: els.template.value.trim() || '{w}',
-    includeSeeds: els.includeSeeds.checked,
-    excludeInputs: els.excludeInputs.checked
+    model: readModel(),
+    excludeInputs: els.excludeInputs.checked,
+    method: readMethod(),
+    strength: Number(els.strength.value),
+    filters: readFilters()
   };
-  els.runBtn.disabled = true;
-  els.status.textContent = 'Running…';
+  els.batchBtn.disabled = true;
+  els.status.textContent = `Running batch of ${targets.length}…`;
   try {
-    const resp = await fetch('/api/search', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
+    const json = await postSearch('/api/batch', body);
+    lastBatch = json;
+    renderBatchTable(json);
+    els.status.textContent = `batch: ${json.meta.targets} targets • k=${json.meta.k} • vocab=${json.meta.vocabSize}`;
+  } catch (e) {
+    console.error(e);
+    alert('Batch failed: ' + e.message);
+    els.status.textContent = 'Error.';
+  } finally {
+    els.batchBtn.disabled = false;
+  }
+}
+
+async function runCompare() {
+  const pairs = parsePairs(els.pairs.value);
+  if (!pairs.length) {
+    alert('Please provide at least one valid pair.');
+    return;
+  }
+  const expected = els.compareExpected.value.trim();
+  const body = {
+    pairs,
+    target: els.target.value.trim(),
+    expected: expected ? [expected] : [],
+    k: Number(els.k.value),
+    sides: [
+      { model: readModel(), contextTemplate: els.template.value.trim() || '{w}' },
+      { model: els.compareModel.value || readModel(), contextTemplate: els.compareTemplate.value.trim() || '{w}' }
+    ],
+    excludeInputs: els.excludeInputs.checked,
+    method: readMethod(),
+    filters: readFilters()
+  };
+  els.compareBtn.disabled = true;
+  els.status.textContent = 'Comparing…';
+  try {
+    const json = await postSearch('/api/compare', body);
+    lastCompare = json;
+    renderCompare(json);
+    els.status.textContent = `compare: ${json.sides.map(s => s.label).join(' vs ')} • k=${json.meta.k}`;
+  } catch (e) {
+    console.error(e);
+    alert('Compare failed: ' + e.message);
+    els.status.textContent = 'Error.';
+  } finally {
+    els.compareBtn.disabled = false;
+  }
+}
+
+// append a pair to the seed list unless it is already there
+function addSeedPair(a, b) {
+  const existing = parsePairs(els.pairs.value).map(([x, y]) => `${x}\n${y}`);
+  if (existing.includes(`${a}\n${b}`)) return;
+  const text = els.pairs.value.replace(/\s*$/, '');
+  els.pairs.value = `${text ? `${text}\n` : ''}${a}, ${b}\n`;
+}
+
+function renderMinedPairs(report) {
+  els.mineBody.innerHTML = '';
+  report.candidates.forEach((c, i) => {
+    const tr = document.createElement('tr');
+    const pos = `${(c.posA || []).join(', ') || '—'} → ${(c.posB || []).join(', ') || '—'}`;
+    tr.innerHTML = `<td>${i + 1}</td><td>${escapeHTML(c.a)} → ${escapeHTML(c.b)}</td><td>${c.alignment.toFixed(3)}</td><td><span class="badge">${escapeHTML(pos)}</span></td><td></td>`;
+    const add = document.createElement('button');
+    add.className = 'ghost';
+    add.textContent = 'Add';
+    add.addEventListener('click', () => {
+      addSeedPair(c.a, c.b);
+      add.disabled = true;
     });
-    const json = await resp.json();
-    if (json.error) throw new Error(json.error);
-    lastResult = json;
+    tr.lastElementChild.appendChild(add);
+    els.mineBody.appendChild(tr);
+  });
+  els.mineSummary.textContent = report.candidates.length
+    ? `${report.meta.sources} source words translated, ${report.meta.considered} candidates scored, ranked by cosine between b − a and the seed relation`
+    : 'No candidate pairs found.';
+  els.mineAddAllBtn.hidden = !report.candidates.length;
+  els.mineCard.hidden = false;
+}
 
-    renderNeighborsTable(json.neighbors);
-    drawChart(json);
+async function runMine() {
+  const pairs = parsePairs(els.pairs.value);
+  if (!pairs.length) {
+    alert('Please provide at least one example pair.');
+    return;
+  }
+  const body = {
+    pairs,
+    k: 20,
+    contextTemplate: els.template.value.trim() || '{w}',
+    model: readModel(),
+    method: readMethod(),
+    pos: els.mineMatchPos.checked ? { a: 'auto', b: 'auto' } : undefined
+  };
+  els.mineBtn.disabled = true;
+  els.status.textContent = 'Looking for more pairs…';
+  try {
+    const json = await postSearch('/api/pairs/mine', body);
+    lastMine = json;
+    renderMinedPairs(json);
+    els.status.textContent = `suggested ${json.candidates.length} pairs • ${json.meta.ms} ms`;
+  } catch (e) {
+    console.error(e);
+    alert('Pair mining failed: ' + e.message);
+    els.status.textContent = 'Error.';
+  } finally {
+    els.mineBtn.disabled = false;
+  }
+}
+
+function renderInverse(report) {
+  els.inverseBody.innerHTML = '';
+  report.relations.forEach(r => {
+    const tr = document.createElement('tr');
+    if (r.roundTrip) tr.className = 'roundtrip';
+    const name = r.source === 'benchmark' ? `${escapeHTML(r.name)} <small>${escapeHTML(r.file)}</small>` : escapeHTML(r.name);
+    tr.innerHTML = `<td>${name}</td><td>${r.pairs}</td><td>${r.alignment.toFixed(3)}</td><td>#${r.forward.rank}</td><td>#${r.back.rank}</td>`;
+    els.inverseBody.appendChild(tr);
+  });
+  const best = report.relations[0];
+  els.inverseSummary.textContent = best
+    ? `${report.target} → ${report.result}: best explained by “${best.name}” (${report.meta.considered} relations scored)`
+    : 'No relation to compare.';
+  els.inverseTable.hidden = !report.relations.length;
+}
 
-    const pcsRaw = json.explainedVariance || [];
-    const pcs = pcsRaw.length
-      ? pcsRaw.map((v, i) => `PC${i + 1} ${(v * 100).toFixed(1)}%`).join(' / ')
-      : 'n/a';
-    els.status.textContent = `k=${json.meta.k} • vocab=${json.meta.vocabSize} • PCA var: ${pcs}`;
+async function runInverse() {
+  const target = els.target.value.trim();
+  const result = els.inverseResult.value.trim();
+  if (!target || !result) {
+    alert('Please provide a target and an observed result.');
+    return;
+  }
+  const body = {
+    target,
+    result,
+    pairs: parsePairs(els.pairs.value),
+    contextTemplate: els.template.value.trim() || '{w}',
+    model: readModel(),
+    method: readMethod()
+  };
+  els.inverseBtn.disabled = true;
+  els.status.textContent = 'Explaining…';
+  try {
+    const json = await postSearch('/api/inverse', body);
+    renderInverse(json);
+    els.status.textContent = `inverse: ${json.meta.considered} relations • ${json.meta.ms} ms`;
   } catch (e) {
     console.error(e);
-    alert('Search failed: ' + e.message);
+    alert('Inverse lookup failed: ' + e.message);
     els.status.textContent = 'Error.';
   } finally {
-    els.runBtn.disabled = false;
+    els.inverseBtn.disabled = false;
+  }
+}
+
+// --- Saved experiments ---
+
+async function fetchJSON(url, { method = 'GET', body } = {}) {
+  const resp = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await resp.json();
+  if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+  return json;
+}
+
+function renderHistoryTags(tags) {
+  const current = els.historyTag.value;
+  els.historyTag.innerHTML = '<option value="">All tags</option>';
+  tags.forEach(t => {
+    const opt = document.createElement('option');
+    opt.value = t.name;
+    opt.textContent = `${t.name} (${t.count})`;
+    els.historyTag.appendChild(opt);
+  });
+  els.historyTag.value = tags.some(t => t.name === current) ? current : '';
+}
+
+function renderHistory(list) {
+  renderHistoryTags(list.tags);
+  els.historyBody.innerHTML = '';
+  list.experiments.forEach(x => {
+    const tr = document.createElement('tr');
+    const words = [`${x.target}: ${x.seeds.join(', ')}${x.pairs > x.seeds.length ? ', …' : ''}`, x.top.length ? `→ ${x.top.join(', ')}` : null];
+    const tags = x.tags.map(t => `<span class="badge">${escapeHTML(t)}</span>`).join(' ');
+    tr.innerHTML = `<td>${new Date(x.createdAt).toLocaleString()}</td>`
+      + `<td><strong>${escapeHTML(x.name)}</strong><br><small>${escapeHTML(words.filter(Boolean).join(' '))}</small>`
+      + `${x.notes ? `<br><small>${escapeHTML(x.notes)}</small>` : ''}</td><td>${tags}</td><td></td>`;
+    const actions = { Load: loadExperiment, 'Re-run': rerunExperiment, Edit: editExperiment, Delete: deleteExperiment };
+    Object.entries(actions).forEach(([label, action]) => {
+      const button = document.createElement('button');
+      button.className = 'ghost';
+      button.textContent = label;
+      button.addEventListener('click', () => action(x));
+      tr.lastElementChild.appendChild(button);
+    });
+    els.historyBody.appendChild(tr);
+  });
+  els.historySummary.textContent = list.total
+    ? `${list.experiments.length} of ${list.total} saved experiments`
+    : 'No saved experiments yet.';
+  els.historyTable.hidden = !list.experiments.length;
+}
+
+async function loadHistory() {
+  const params = new URLSearchParams();
+  const q = els.historyQuery.value.trim();
+  if (q) params.set('q', q);
+  if (els.historyTag.value) params.set('tag', els.historyTag.value);
+  try {
+    renderHistory(await fetchJSON(`/api/experiments?${params}`));
+  } catch (e) {
+    console.error(e);
+    els.historySummary.textContent = 'Could not load saved experiments.';
+  }
+}
+
+async function saveExperiment() {
+  if (!lastRequest || !lastResult) return;
+  els.saveBtn.disabled = true;
+  try {
+    const saved = await fetchJSON('/api/experiments', {
+      method: 'POST',
+      body: {
+        request: lastRequest,
+        result: lastResult,
+        name: els.saveName.value.trim() || undefined,
+        tags: els.saveTags.value,
+        notes: els.saveNotes.value
+      }
+    });
+    els.saveName.value = '';
+    els.saveNotes.value = '';
+    els.status.textContent = `Saved “${saved.name}”`;
+    await loadHistory();
+  } catch (e) {
+    console.error(e);
+    alert('Save failed: ' + e.message);
+  } finally {
+    els.saveBtn.disabled = false;
+  }
+}
+
+// show the saved result as it was, with its request in the form
+async function loadExperiment(summary) {
+  try {
+    const record = await fetchJSON(`/api/experiments/${encodeURIComponent(summary.id)}`);
+    applyRequest(record.request);
+    lastRequest = record.request;
+    lastQuery = 'search';
+    showSearchResult(record.result);
+    pushPermalink(record.request);
+  } catch (e) {
+    console.error(e);
+    alert('Loading the experiment failed: ' + e.message);
+  }
+}
+
+// run the saved request again, against the current matrices
+async function rerunExperiment(summary) {
+  try {
+    const record = await fetchJSON(`/api/experiments/${encodeURIComponent(summary.id)}`);
+    applyRequest(record.request);
+  } catch (e) {
+    console.error(e);
+    alert('Loading the experiment failed: ' + e.message);
+    return;
+  }
+  await runSearch();
+}
+
+async function editExperiment(summary) {
+  const tags = prompt('Tags (comma separated)', summary.tags.join(', '));
+  if (tags === null) return;
+  const notes = prompt('Notes', summary.notes);
+  if (notes === null) return;
+  try {
+    await fetchJSON(`/api/experiments/${encodeURIComponent(summary.id)}`, { method: 'PATCH', body: { tags, notes } });
+    await loadHistory();
+  } catch (e) {
+    console.error(e);
+    alert('Update failed: ' + e.message);
+  }
+}
+
+async function deleteExperiment(summary) {
+  if (!confirm(`Delete “${summary.name}”?`)) return;
+  try {
+    await fetchJSON(`/api/experiments/${encodeURIComponent(summary.id)}`, { method: 'DELETE' });
+    await loadHistory();
+  } catch (e) {
+    console.error(e);
+    alert('Delete failed: ' + e.message);
+  }
+}
+
+// --- Permalinks ---
+// The last search request, the other controls and the camera are kept in the
+// URL hash as `#q=<base64url JSON>`. Every search adds a history entry, so a
+// link reproduces a translation and back / forward step through past queries.
+// Expression queries keep the form as request and add the `expression`.
+const PERMALINK_VERSION = 1;
+
+function encodeState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeState(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+}
+
+// camera position and the turn of the auto-rotating chart
+function readCamera() {
+  if (!threeCtx) return undefined;
+  const round = (x) => Math.round(x * 1000) / 1000;
+  return {
+    position: threeCtx.camera.position.toArray().map(round),
+    rotation: round(threeCtx.group.rotation.y % (2 * Math.PI))
+  };
+}
+
+// restored views stay still until the chart is dragged
+function applyCamera(camera) {
+  if (!camera) return;
+  const ctx = ensureThreeContext();
+  const { position, rotation } = camera;
+  if (Array.isArray(position) && position.length === 3 && position.every(Number.isFinite)) {
+    ctx.camera.position.fromArray(position);
+  }
+  if (Number.isFinite(rotation)) ctx.group.rotation.y = rotation;
+  ctx.autoRotate = false;
+  ctx.controls.update();
+}
+
+const isString = (x) => typeof x === 'string';
+const isObject = (x) => typeof x === 'object' && x !== null && !Array.isArray(x);
+const isOptional = (x, check) => x === undefined || x === null || check(x);
+const isStringList = (x) => Array.isArray(x) && x.every(isString);
+
+// a link is anyone's to craft: check the request fields applyRequest reads
+function isRequestShape(r) {
+  if (!isObject(r)) return false;
+  const { pairs = [], method = {}, filters = {}, trajectory } = r;
+  return isOptional(pairs, list => Array.isArray(list)
+      && list.every(p => Array.isArray(p) && p.length >= 2 && isString(p[0]) && isString(p[1]) && isOptional(p[2], Number.isFinite)))
+    && ['target', 'contextTemplate', 'model'].every(f => isOptional(r[f], isString))
+    && ['k', 'strength'].every(f => isOptional(r[f], Number.isFinite))
+    && isOptional(r.projection, x => isString(x) || (isObject(x) && isOptional(x.method, isString) && isOptional(x.basis, isString)))
+    && isOptional(method, m => isObject(m) && isOptional(m.aggregation, isString) && isOptional(m.scoring, isString))
+    && isOptional(filters, f => isObject(f)
+      && isOptional(f.pos, pos => isObject(pos) && isOptional(pos.include, isStringList))
+      && isOptional(f.blocklist, isStringList)
+      && ['pattern', 'prefix', 'suffix'].every(k => isOptional(f[k], isString))
+      && ['minLength', 'maxLength', 'minScore'].every(k => isOptional(f[k], Number.isFinite)))
+    && isOptional(trajectory, t => typeof t === 'boolean' || (isObject(t) && ['from', 'to', 'steps'].every(k => isOptional(t[k], Number.isFinite))));
+}
+
+function permalinkHash(request, expression) {
+  const state = { v: PERMALINK_VERSION, request, expression, mineMatchPos: els.mineMatchPos.checked, camera: readCamera() };
+  return `#q=${encodeState(state)}`;
+}
+
+// the state in the current URL, or null
+function readPermalink() {
+  const q = new URLSearchParams(location.hash.slice(1)).get('q');
+  if (!q) return null;
+  try {
+    const state = decodeState(q);
+    if (isObject(state) && isRequestShape(state.request) && isOptional(state.expression, isString)) return state;
+    console.warn('Ignoring malformed permalink state:', state);
+    return null;
+  } catch (e) {
+    console.warn('Ignoring malformed permalink:', e);
+    return null;
+  }
+}
+
+function pushPermalink(request, expression) {
+  const hash = permalinkHash(request, expression);
+  if (hash !== location.hash) history.pushState(null, '', hash);
+}
+
+// keep the camera of the current entry up to date without adding entries
+function updatePermalinkCamera() {
+  const state = readPermalink();
+  if (state) history.replaceState(null, '', permalinkHash(state.request, state.expression));
+}
+
+async function restorePermalink() {
+  const state = readPermalink();
+  if (!state) return;
+  applyRequest(state.request);
+  if (typeof state.mineMatchPos === 'boolean') els.mineMatchPos.checked = state.mineMatchPos;
+  if (typeof state.expression === 'string') {
+    els.expression.value = state.expression;
+    await runExpression({ push: false });
+  } else {
+    await runSearch({ push: false });
+  }
+  applyCamera(state.camera);
+}
+
+// --- Export ---
+function download(filename, content, type = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// same quoting as the server's format=csv (lib/table.js)
+function toCSV(rows, columns) {
+  const cell = (value) => {
+    const text = Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+}
+
+function neighborRows(result) {
+  return visibleNeighbors(result.neighbors).map((n, i) => ({
+    rank: i + 1,
+    word: n.word,
+    score: n.score,
+    pos: n.posList,
+    roundTripRank: n.roundTrip?.rank,
+    roundTripLandsOn: n.roundTrip?.landsOn
+  }));
+}
+
+function pointRows(result) {
+  return visiblePoints(result).filter(p => isSelected(p.id)).map(p => ({
+    id: p.id,
+    label: p.label,
+    kind: p.kind,
+    x: p.x,
+    y: p.y,
+    z: p.z,
+    score: p.score,
+    pos: p.pos
+  }));
+}
+
+const EXPORTS = {
+  'neighbors-csv': (result, name) => download(`${name}-neighbors.csv`,
+    toCSV(neighborRows(result), ['rank', 'word', 'score', 'pos', 'roundTripRank', 'roundTripLandsOn']), 'text/csv'),
+  'neighbors-json': (result, name) => download(`${name}-neighbors.json`,
+    JSON.stringify({ neighbors: neighborRows(result), meta: result.meta }, null, 2), 'application/json'),
+  'points-csv': (result, name) => download(`${name}-points.csv`,
+    toCSV(pointRows(result), ['id', 'label', 'kind', 'x', 'y', 'z', 'score', 'pos']), 'text/csv'),
+  'points-json': (result, name) => download(`${name}-points.json`,
+    JSON.stringify({ points: pointRows(result), seedLinks: result.seedLinks, projection: result.projection }, null, 2), 'application/json'),
+  'result-json': (result, name) => download(`${name}.json`, JSON.stringify(result, null, 2), 'application/json'),
+  png: (result, name) => {
+    const ctx = ensureThreeContext();
+    // the WebGL drawing buffer is only readable right after a render
+    ctx.renderer.render(ctx.scene, ctx.camera);
+    ctx.renderer.domElement.toBlob(blob => download(`${name}.png`, blob));
+  },
+  // binary glTF of the chart group: spheres and arrows, named by kind and
+  // word (label sprites have no glTF mesh and only keep their node name)
+  gltf: async (result, name) => {
+    const { GLTFExporter } = await import('https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/exporters/GLTFExporter.js');
+    const glb = await new GLTFExporter().parseAsync(ensureThreeContext().group, { binary: true });
+    download(`${name}.glb`, glb, 'model/gltf-binary');
+  },
+  // permalink of the search with the current camera
+  link: async () => {
+    updatePermalinkCamera();
+    await navigator.clipboard.writeText(location.href);
+    els.status.textContent = 'Link copied to the clipboard.';
+  }
+};
+
+async function runExport(kind) {
+  if (!lastResult) return;
+  const target = lastResult.points.find(p => p.kind === 'target')?.label || 'result';
+  const name = `translation-${target}`.replace(/[^\w.-]+/g, '_');
+  try {
+    await EXPORTS[kind](lastResult, name);
+  } catch (e) {
+    console.error(e);
+    alert('Export failed: ' + e.message);
   }
 }
 
@@ -527,14 +1870,47 @@ async function runSearch() {
 els.k.addEventListener('input', () => {
   els.kVal.textContent = els.k.value;
 });
-els.runBtn.addEventListener('click', runSearch);
+els.strength.addEventListener('input', previewStrength);
+els.strength.addEventListener('change', () => {
+  if (lastResult && lastQuery === 'search') runSearch();
+});
+els.runBtn.addEventListener('click', () => runSearch());
+els.batchBtn.addEventListener('click', runBatch);
+els.expressionBtn.addEventListener('click', () => runExpression());
+els.expression.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') runExpression();
+});
+els.compareBtn.addEventListener('click', runCompare);
+els.mineBtn.addEventListener('click', runMine);
+els.inverseBtn.addEventListener('click', runInverse);
+els.exportButtons.forEach(b => b.addEventListener('click', () => runExport(b.dataset.export)));
+els.clearSelectionBtn.addEventListener('click', () => setSelection([]));
+els.mineAddAllBtn.addEventListener('click', () => {
+  if (!lastMine) return;
+  lastMine.candidates.forEach(c => addSeedPair(c.a, c.b));
+  els.mineBody.querySelectorAll('button').forEach(b => { b.disabled = true; });
+});
+els.saveBtn.addEventListener('click', saveExperiment);
+els.historyTag.addEventListener('change', loadHistory);
+let historyQueryTimer = null;
+els.historyQuery.addEventListener('input', () => {
+  clearTimeout(historyQueryTimer);
+  historyQueryTimer = setTimeout(loadHistory, 250);
+});
+els.evalBtn.addEventListener('click', runEvaluation);
 els.rebuildBtn.addEventListener('click', rebuildCache);
 els.posChecks.forEach(cb => cb.addEventListener('change', () => {
+  if (lastBatch) renderBatchTable(lastBatch);
+  if (lastCompare) renderCompare(lastCompare);
   if (!lastResult) return;
   renderNeighborsTable(lastResult.neighbors);
   drawChart(lastResult);
 }));
+window.addEventListener('popstate', restorePermalink);
 
 // boot
-initStatus();
-ensureThreeContext();
+loadBenchmarks();
+loadHistory();
+ensureThreeContext().controls.addEventListener('end', updatePermalinkCamera);
+// model options must be listed before a permalink can select one
+initStatus().then(restorePermalink);
@@ -1,5 +1,7 @@
 # make_vocab_from_wordnet.py
 
+import re
+
 import nltk
 from nltk.corpus import wordnet as wn
 
@@ -12,12 +14,19 @@ POS_MAP = {
 }
 
 
+def is_word_or_phrase(name: str) -> bool:
+    """True for lemmas made of letters, joined by underscores, hyphens or apostrophes."""
+    parts = re.split(r"[_\-']", name)
+    return all(part.isalpha() for part in parts)
+
+
 def build_lemma_vocab(output_file: str = "vocab.txt") -> None:
     """Build a vocabulary file with lemmas and their WordNet POS tags.
 
     Each line in the generated file has the format ``lemma\tPOS[,POS...]`` where
     POS values are human-readable categories ("Noun", "Verb", ...). Lemmas that
-    appear under multiple parts of speech will list all of them.
+    appear under multiple parts of speech will list all of them. Multi-word
+    lemmas keep WordNet's underscores (``ice_cream``).
     """
 
     # Make sure WordNet is available (safe if already downloaded)
@@ -38,8 +47,9 @@ def build_lemma_vocab(output_file: str = "vocab.txt") -> None:
         for lemma in syn.lemmas():
             name = lemma.name().lower()  # e.g., "dog", "ice_cream"
 
-            # Keep only purely alphabetic single-word lemmas
-            if not name.isalpha():
+            # Keep words and multi-word phrases ("ice_cream", "take_off",
+            # "well-being"); the server embeds underscores as spaces
+            if not is_word_or_phrase(name):
                 continue
 
             bucket = lemma_pos.setdefault(name, set())
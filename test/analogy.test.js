@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatrix, encodeMatrix } from '../lib/matrix.js';
+import { analogyScores, scanAnalogy } from '../lib/analogy.js';
+import { normalizeVec, dot } from '../lib/vectors.js';
+
+// six unit rows in 3D around the x and y axes, with no tied scores
+const rows = [[1, 0, 0], [0.2, 1, 0], [1, 1, 0], [1, -1, 0.1], [0, 0.3, 1], [-1, 0.2, 0]].map(r => normalizeVec(r));
+const data = new Float32Array(rows.length * 3);
+rows.forEach((r, i) => data.set(r, i * 3));
+const store = createMatrix(encodeMatrix(data, rows.length, 3));
+
+const target = rows[0];
+const relation = Float32Array.from([0, 1, 0]);
+const vectors = {
+  translated: normalizeVec(target.map((x, j) => x + relation[j])),
+  target,
+  relation,
+  relNorm: 1,
+  tRel: dot(target, relation),
+  A: rows[0],
+  B: rows[2]
+};
+
+test('every scoring gives one score per row and prefers the translated row', () => {
+  for (const scoring of ['3cosadd', '3cosmul', 'pairdirection']) {
+    const scores = analogyScores(store, scoring, vectors);
+    assert.equal(scores.length, rows.length, scoring);
+    const best = scores.indexOf(Math.max(...scores.filter((_, i) => i !== 0)));
+    assert.ok([1, 2].includes(best), `${scoring} ranked row ${best} first`);
+  }
+  // pairdirection scores the direction from the target, so the target itself gets 0
+  assert.equal(analogyScores(store, 'pairdirection', vectors)[0], 0);
+});
+
+test('scanAnalogy keeps the best k rows that pass exclude, allow and minScore', () => {
+  const all = Array.from(store.scores(vectors.translated));
+  const order = all.map((s, i) => [i, s]).sort((x, y) => y[1] - x[1]).map(([i]) => i);
+  assert.deepEqual(scanAnalogy(store, { vectors, k: 3 }).top.map(h => h.id), order.slice(0, 3));
+
+  const excluded = scanAnalogy(store, { vectors, k: 3, exclude: [order[0]] }).top.map(h => h.id);
+  assert.deepEqual(excluded, order.slice(1, 4));
+
+  const allow = Uint8Array.from(rows, (_, i) => (i % 2 ? 1 : 0));
+  assert.ok(scanAnalogy(store, { vectors, k: 6, allow }).top.every(h => h.id % 2 === 1));
+
+  const floor = all[order[1]];
+  assert.deepEqual(scanAnalogy(store, { vectors, k: 6, minScore: floor }).top.map(h => h.id), order.slice(0, 2));
+});
+
+test('ranks count the allowed rows that score higher, extra vectors included', () => {
+  const all = Array.from(store.scores(vectors.translated));
+  const order = all.map((s, i) => [i, s]).sort((x, y) => y[1] - x[1]).map(([i]) => i);
+  const { ranks, scores } = scanAnalogy(store, { vectors, rankOf: [order[2]], rankVectors: [vectors.translated] });
+  assert.deepEqual(ranks, [3, 1]);
+  assert.ok(Math.abs(scores[1] - 1) < 1e-6);
+  // excluding a better row moves the rank up
+  assert.deepEqual(scanAnalogy(store, { vectors, rankOf: [order[2]], exclude: [order[0]] }).ranks, [2]);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+// these runs stop at argument checks, before the core (and a model) is loaded
+function run(args, stdin = '') {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], { stdio: 'pipe' });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    child.stdin.end(stdin);
+  });
+}
+
+test('--help and no command print the usage', async () => {
+  for (const args of [['--help'], ['-h'], []]) {
+    const { code, stdout } = await run(args);
+    assert.equal(code, 0);
+    assert.match(stdout, /^usage: functional-translation <command>/);
+  }
+});
+
+test('invalid arguments exit with status 2 and a message', async () => {
+  const cases = [
+    [['translate'], /unknown command "translate"/],
+    [['search', '--bogus'], /Unknown option '--bogus'/],
+    [['search', '--pair', 'garden,gardening'], /search needs --target/],
+    [['search', '--target', 'work'], /no seed pairs/],
+    [['search', '--target', 'work', '--pair', 'garden'], /invalid pair "garden"/],
+    [['search', '--target', 'work', '--pair', 'garden,gardening,heavy'], /invalid weight in pair/],
+    [['search', '--target', 'work', '--pair', 'a,b', '--k', '2.5'], /--k must be a positive integer/],
+    [['search', '--target', 'work', '--pair', 'a,b', '--strength', 'x'], /--strength must be a number/],
+    [['search', '--target', 'work', '--pair', 'a,b', '--format', 'xml'], /--format must be one of json, csv, tsv/],
+    [['neighbors', '--workers', 'two', 'work'], /--workers must be a non-negative integer/],
+    [['batch', '--pair', 'a,b'], /batch needs targets/],
+    [['neighbors'], /neighbors needs words/]
+  ];
+  for (const [args, message] of cases) {
+    const { code, stdout, stderr } = await run(args);
+    assert.equal(code, 2, args.join(' '));
+    assert.equal(stdout, '');
+    assert.match(stderr, message, args.join(' '));
+    assert.match(stderr, /run with --help for usage/);
+  }
+});
+
+test('pairs are read from stdin with the UI syntax', async () => {
+  // the pairs parse, so the run gets as far as checking --format
+  const { code, stderr } = await run(['search', '--target', 'work', '--pairs-file', '-', '--format', 'xml'],
+    '# seeds\ngarden -> gardening\nfight\tfighting\nswim,swimming,2\n');
+  assert.equal(code, 2);
+  assert.match(stderr, /--format must be one of/);
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// the core reads its configuration when first imported; requests that fail
+// validation are rejected before any vocab, matrix or model is loaded
+process.env.CACHE_DIR = path.join(os.tmpdir(), `core-validation-${process.pid}`);
+process.env.BENCHMARK_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmarks-'));
+process.env.WORKERS = '0';
+process.env.MODELS = 'Xenova/all-mpnet-base-v2, Xenova/all-MiniLM-L6-v2';
+const core = await import('../lib/core.js');
+test.after(() => fs.remove(process.env.BENCHMARK_DIR));
+
+const pairs = [['garden', 'gardening']];
+
+test('k must be an integer in [1, 200]', async () => {
+  const requests = {
+    search: (k) => core.search({ pairs, target: 'work', k }),
+    batch: (k) => core.batch({ pairs, targets: ['work'], k }),
+    neighbors: (k) => core.neighbors({ words: ['work'], k }),
+    expression: (k) => core.expression({ expression: 'king - man', k }),
+    compare: (k) => core.compare({ pairs, target: 'work', sides: [{}, { contextTemplate: 'the {w}' }], k }),
+    mine: (k) => core.mine({ pairs, k }),
+    inverse: (k) => core.inverse({ target: 'work', result: 'working', k })
+  };
+  for (const [name, run] of Object.entries(requests)) {
+    for (const k of ['abc', '5x', 0, -3, 2.5, 201, 1e6, null, {}, [1, 2]]) {
+      await assert.rejects(run(k), (e) => e instanceof core.BadRequestError && /k must be an integer/.test(e.message), `${name} with k=${JSON.stringify(k)}`);
+    }
+  }
+});
+
+test('index recall checks k, ef and noise before sampling', async () => {
+  const bad = [
+    [{ k: 1e6 }, /k must be an integer/],
+    [{ k: 'x' }, /k must be an integer/],
+    [{ ef: 0 }, /ef must be an integer/],
+    [{ ef: 1e9 }, /ef must be an integer/],
+    [{ noise: 'lots' }, /noise must be a number/],
+    [{ noise: -0.1 }, /noise must be a number/],
+    [{ noise: 2 }, /noise must be a number/]
+  ];
+  for (const [body, message] of bad) {
+    await assert.rejects(core.indexRecall(body), (e) => e instanceof core.BadRequestError && message.test(e.message), JSON.stringify(body));
+  }
+});
+
+test('contextTemplate must be a string', async () => {
+  for (const contextTemplate of [5, null, ['{w}'], { w: 1 }]) {
+    const requests = {
+      rebuild: () => core.rebuild({ contextTemplate }),
+      search: () => core.search({ pairs, target: 'work', contextTemplate, build: 'background' }),
+      neighbors: () => core.neighbors({ words: ['work'], contextTemplate })
+    };
+    for (const [name, run] of Object.entries(requests)) {
+      await assert.rejects(run(), (e) => e instanceof core.BadRequestError && /contextTemplate must be a string/.test(e.message), `${name} with ${JSON.stringify(contextTemplate)}`);
+    }
+  }
+});
+
+test('compare checks its sides, target and pairs before loading anything', async () => {
+  const side = { contextTemplate: 'the {w}' };
+  const bad = [
+    [{ pairs, target: 'work' }, /sides must be an array/],
+    [{ pairs, target: 'work', sides: [side] }, /sides must be an array/],
+    [{ pairs, target: 'work', sides: [side, side, side, side, side] }, /too many sides/],
+    [{ pairs, target: 'work', sides: [side, { model: 5 }] }, /sides\[1\]: model and contextTemplate must be strings/],
+    [{ pairs, target: ' ', sides: [{}, side] }, /target must be a non-empty/],
+    [{ target: 'work', sides: [{}, side] }, /at least one seed pair/],
+    [{ pairs, target: 'work', sides: [{}, side], filters: { minScore: 'high' } }, /filters.minScore must be a number/]
+  ];
+  for (const [body, message] of bad) {
+    await assert.rejects(core.compare(body), (e) => e instanceof core.BadRequestError && message.test(e.message), JSON.stringify(body));
+  }
+});
+
+test('mine checks its examples and limits before loading anything', async () => {
+  const bad = [
+    [{}, /at least one example pair/],
+    [{ pairs: [['garden']] }, /at least one example pair/],
+    [{ pairs, sources: 0 }, /sources must be an integer in \[1, 2000\]/],
+    [{ pairs, sources: 2001 }, /sources must be an integer/],
+    [{ pairs, perSource: 1.5 }, /perSource must be an integer in \[1, 20\]/],
+    [{ pairs, minAlignment: 'high' }, /minAlignment must be a number/],
+    [{ pairs, search: 'fast' }, /search must be one of auto, exact, ann/],
+    [{ pairs, method: { scoring: 'cosine' } }, /unknown scoring "cosine"/]
+  ];
+  for (const [body, message] of bad) {
+    await assert.rejects(core.mine(body), (e) => e instanceof core.BadRequestError && message.test(e.message), JSON.stringify(body));
+  }
+});
+
+test('inverse needs a target, a result and a positive maxPairs', async () => {
+  const bad = [
+    [{ result: 'working' }, /target and result must be non-empty/],
+    [{ target: 'work', result: 5 }, /target and result must be non-empty/],
+    [{ target: 'work', result: 'working', maxPairs: 0 }, /maxPairs must be a positive integer/],
+    [{ target: 'work', result: 'working', maxPairs: 'all' }, /maxPairs must be a positive integer/],
+    [{ target: 'work', result: 'working', method: { aggregation: 'max' } }, /unknown aggregation "max"/]
+  ];
+  for (const [body, message] of bad) {
+    await assert.rejects(core.inverse(body), (e) => e instanceof core.BadRequestError && message.test(e.message), JSON.stringify(body));
+  }
+});
+
+test('benchmarks lists .txt and .tsv files, and evaluate only reads listed ones', async () => {
+  for (const name of ['b.tsv', 'a.txt', 'notes.md']) {
+    await fs.writeFile(path.join(process.env.BENCHMARK_DIR, name), ': capital\nparis france rome italy\n');
+  }
+  assert.deepEqual(await core.benchmarks(), { files: ['a.txt', 'b.tsv'] });
+  for (const file of [undefined, 'notes.md', 'missing.txt', '/etc/passwd']) {
+    await assert.rejects(core.evaluate({ file }), (e) => e instanceof core.BadRequestError && /unknown benchmark file/.test(e.message), String(file));
+  }
+  await assert.rejects(core.evaluate({ file: 'a.txt', method: { trim: 0.5 } }), /trim must be a number in \[0, 0.5\)/);
+});
+
+test('the registered models are listed, and any other model id is rejected', async () => {
+  const { defaultModel, models } = core.status();
+  assert.deepEqual(models.map(m => [m.id, m.state]), [[defaultModel, 'idle'], ['Xenova/all-mpnet-base-v2', 'idle']]);
+  for (const run of [
+    () => core.search({ pairs, target: 'work', model: 'Xenova/unknown' }),
+    () => core.rebuild({ model: 'Xenova/unknown' }),
+    () => core.neighbors({ words: ['work'], model: 'Xenova/unknown' })
+  ]) {
+    await assert.rejects(run(), (e) => e instanceof core.BadRequestError && /unknown model "Xenova\/unknown"/.test(e.message));
+  }
+});
+
+test('batch needs targets and seed pairs, within the target limit', async () => {
+  const bad = [
+    [{ pairs }, /targets must be a non-empty array/],
+    [{ pairs, targets: 'work' }, /targets must be a non-empty array/],
+    [{ pairs, targets: [' ', 5] }, /targets must be a non-empty array/],
+    [{ pairs, targets: Array.from({ length: 1001 }, (_, i) => `w${i}`) }, /too many targets \(1001 > 1000\)/],
+    [{ targets: ['work'] }, /at least one seed pair/]
+  ];
+  for (const [body, message] of bad) {
+    await assert.rejects(core.batch(body), (e) => e instanceof core.BadRequestError && message.test(e.message), message.source);
+  }
+});
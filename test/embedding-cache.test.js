@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { EmbeddingCache } from '../lib/embedding-cache.js';
+
+const vec = (x) => Float32Array.from([x, x + 0.5, -x]);
+
+test('two caches appending to one directory read back their own words', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+  try {
+    // no memory entries, so every hit is read from the file
+    const a = new EmbeddingCache(dir, { maxEntries: 0 });
+    const b = new EmbeddingCache(dir, { maxEntries: 0 });
+    await a.set('ns', [['alpha', vec(1)]]);
+    await b.set('ns', [['beta', vec(2)]]);
+    assert.deepEqual((await a.get('ns', ['alpha', 'beta'])).get('beta'), vec(2));
+
+    // each appends after the other without having seen its line
+    await b.set('ns', [['delta', vec(4)]]);
+    await a.set('ns', [['gamma', vec(3)]]);
+    for (const cache of [a, b]) {
+      const found = await cache.get('ns', ['alpha', 'beta', 'gamma', 'delta']);
+      assert.deepEqual(found.get('alpha'), vec(1));
+      assert.deepEqual(found.get('beta'), vec(2));
+      assert.deepEqual(found.get('gamma'), vec(3));
+      assert.deepEqual(found.get('delta'), vec(4));
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a rewritten file is re-indexed instead of returning another word', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+  try {
+    const a = new EmbeddingCache(dir, { maxEntries: 0 });
+    await a.set('ns', [['alpha', vec(1)], ['beta', vec(2)]]);
+    // same size, lines swapped
+    const file = path.join(dir, 'ns.jsonl');
+    const [first, second] = (await fs.readFile(file, 'utf8')).split('\n');
+    await fs.writeFile(file, `${second}\n${first}\n`);
+
+    const stale = await a.get('ns', ['alpha']);
+    assert.equal(stale.has('alpha'), false);
+    assert.deepEqual((await a.get('ns', ['alpha'])).get('alpha'), vec(1));
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ExperimentStore } from '../lib/experiments.js';
+
+test('concurrent updates of one experiment keep every change', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'experiments-'));
+  try {
+    const store = new ExperimentStore(dir);
+    const { id } = await store.create({ name: 'walk', tags: [], notes: '', request: { target: 'walk' }, result: {} });
+    await Promise.all([
+      store.update(id, { tags: ['verbs'] }),
+      store.update(id, { notes: 'works' }),
+      store.update(id, { name: 'walking' })
+    ]);
+    const record = await store.get(id);
+    assert.deepEqual([record.name, record.tags, record.notes], ['walking', ['verbs'], 'works']);
+
+    assert.equal(await store.update('nope', { notes: 'x' }), null);
+    const [removed, updated] = await Promise.all([store.remove(id), store.update(id, { notes: 'late' })]);
+    assert.equal(removed, true);
+    assert.equal(updated, null);
+    assert.deepEqual(await store.list(), []);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExpressionError, parseExpression, expressionInputs, evaluateExpression, formatExpression } from '../lib/expression.js';
+
+const VECTORS = { king: [1, 0, 0], man: [0, 1, 0], woman: [0, 0, 1] };
+const evaluate = (text) => Array.from(evaluateExpression(parseExpression(text), { word: (w) => Float32Array.from(VECTORS[w]), relation: () => null }));
+
+test('vector arithmetic with folded scalars', () => {
+  assert.deepEqual(evaluate('king - man + woman'), [1, -1, 1]);
+  assert.deepEqual(evaluate('(2 + 2) * king / 8'), [0.5, 0, 0]);
+  assert.equal(formatExpression(parseExpression('2 * (3 * king)')), '6 * king');
+  assert.deepEqual(expressionInputs(parseExpression('king + [a → b : 2]')).words, ['king']);
+});
+
+test('syntax and type errors carry the position', () => {
+  assert.throws(() => parseExpression('king +'), /expected a word, number.*at character 7/);
+  assert.throws(() => parseExpression('king * man'), ExpressionError);
+  assert.throws(() => parseExpression('2 * 3'), /evaluates to a number/);
+});
+
+test('non-finite numbers are rejected', () => {
+  assert.throws(() => parseExpression('1e400 * king'), /number out of range at character 1/);
+  assert.throws(() => parseExpression('1e200 * 1e200 * king'), /number out of range/);
+  assert.throws(() => parseExpression('1e300 * (1e300 * king)'), /number out of range/);
+  assert.throws(() => parseExpression('king / 1e-320'), /number out of range/);
+  assert.throws(() => parseExpression('king / 0'), /division by zero/);
+  assert.throws(() => parseExpression('king / (1 - 1)'), /division by zero/);
+});
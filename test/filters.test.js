@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterError, PATTERN_MAX, hasWordFilters, matchWords, parseFilters } from '../lib/filters.js';
+
+const words = ['run', 'running', 'runner', 'ice cream', 'walk', 'walked', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaab'];
+const tags = { run: ['Verb', 'Noun'], running: ['Verb'], runner: ['Noun'], 'ice cream': ['Noun'], walk: ['Verb'], walked: ['Verb'] };
+const posOf = w => tags[w] || [];
+const allowed = (raw, options = {}) => {
+  const mask = matchWords(words, parseFilters(raw), { posOf, ...options });
+  return words.filter((_, i) => mask[i]);
+};
+
+test('parseFilters fills defaults and rejects malformed fields', () => {
+  assert.equal(parseFilters(undefined), null);
+  const filters = parseFilters({ pos: { include: [' Verb ', 'noun'] }, minLength: '3', pattern: '' });
+  assert.deepEqual(filters.pos, { include: ['verb', 'noun'], exclude: [] });
+  assert.equal(filters.minLength, 3);
+  assert.equal(filters.pattern, null);
+  assert.equal(hasWordFilters(filters), true);
+  assert.equal(hasWordFilters(parseFilters({ minScore: 0.5 })), false);
+
+  for (const raw of [
+    [],
+    'verb',
+    { pos: ['verb'] },
+    { pos: { include: 'verb' } },
+    { blocklist: [1] },
+    { minLength: 'short' },
+    { prefix: 5 },
+    { pattern: '(' },
+    { pattern: 'a'.repeat(PATTERN_MAX + 1) }
+  ]) {
+    assert.throws(() => parseFilters(raw), FilterError, JSON.stringify(raw));
+  }
+});
+
+test('matchWords applies every word-level filter', () => {
+  assert.deepEqual(allowed({ pos: { include: ['noun'] } }), ['run', 'runner', 'ice cream']);
+  assert.deepEqual(allowed({ pos: { include: ['verb'], exclude: ['noun'] } }), ['running', 'walk', 'walked']);
+  assert.deepEqual(allowed({ prefix: 'run', suffix: 'ing' }), ['running']);
+  assert.deepEqual(allowed({ minLength: 5, maxLength: 6 }), ['runner', 'walked']);
+  assert.deepEqual(allowed({ pattern: '^w', blocklist: ['walked'] }), ['walk']);
+  // blocklists compare keys, so an underscore spelling blocks the phrase
+  assert.deepEqual(allowed({ blocklist: ['ice_cream'], prefix: 'i' }, { keyOf: w => w.replace(/_/g, ' ') }), []);
+});
+
+test('a pattern that backtracks too long is rejected instead of stalling', () => {
+  const started = Date.now();
+  assert.throws(() => allowed({ pattern: '^(a+)+$' }, { patternMs: 50 }), /filters.pattern took longer than 50 ms/);
+  assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatrix } from '../lib/matrix.js';
+import { normalizeVec } from '../lib/vectors.js';
+import { mulberry32 } from '../lib/random.js';
+import { HnswIndex } from '../lib/hnsw.js';
+
+const n = 500;
+const dim = 16;
+const random = mulberry32(7);
+const unit = () => normalizeVec(Float32Array.from({ length: dim }, () => random() - 0.5));
+const data = new Float32Array(n * dim);
+for (let i = 0; i < n; i++) data.set(unit(), i * dim);
+const store = createMatrix({ dtype: 'float32', n, dim, data, scales: null });
+
+function exact(q, k) {
+  return Array.from({ length: n }, (_, i) => i).sort((a, b) => store.dot(b, q) - store.dot(a, q)).slice(0, k);
+}
+
+function build() {
+  const index = new HnswIndex(store, { M: 8, efConstruction: 64 });
+  while (index.addNext());
+  return index;
+}
+
+test('search finds most of the exact nearest rows', () => {
+  const index = build();
+  assert.ok(index.complete);
+  let hits = 0;
+  for (let s = 0; s < 20; s++) {
+    const q = unit();
+    const found = new Set(index.search(q, 10).map(h => h.id));
+    hits += exact(q, 10).filter(i => found.has(i)).length;
+  }
+  assert.ok(hits / 200 >= 0.9, `recall@10 ${hits / 200}`);
+});
+
+test('a saved index answers like the one it was saved from', () => {
+  const index = build();
+  const { index: loaded, header } = HnswIndex.fromBuffer(index.toBuffer({ signature: 'x' }), store);
+  assert.equal(header.signature, 'x');
+  assert.ok(loaded.complete);
+  const q = unit();
+  assert.deepEqual(loaded.search(q, 5), index.search(q, 5));
+  assert.throws(() => HnswIndex.fromBuffer(Buffer.from('nope, not an index'), store), /not an HNSW index/);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { DTYPES, createMatrix, encodeMatrix, parseMatrix, readMatrixFile, serializeMatrix, shareMatrix } from '../lib/matrix.js';
+
+const n = 5;
+const dim = 7; // odd, so int8 scales start unaligned
+const values = Float32Array.from({ length: n * dim }, (_, i) => Math.sin(i));
+
+test('matrix files round trip through every dtype, in shared memory when asked', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'matrix-'));
+  try {
+    for (const dtype of DTYPES) {
+      const store = createMatrix(encodeMatrix(values, n, dim, dtype));
+      const file = path.join(dir, `${dtype}.bin`);
+      await fs.writeFile(file, serializeMatrix(store, { signature: 'x' }));
+      for (const shared of [false, true]) {
+        const { header, store: loaded } = parseMatrix(await readMatrixFile(file, { shared }), {});
+        assert.deepEqual([header.dtype, header.n, header.dim, header.signature], [dtype, n, dim, 'x']);
+        for (let i = 0; i < n; i++) assert.deepEqual(loaded.row(i), store.row(i), `${dtype} row ${i}`);
+        // the rows are read into shared memory directly, not copied there
+        assert.equal(loaded.data.buffer instanceof SharedArrayBuffer, shared);
+        if (shared) assert.equal(shareMatrix(loaded).data, loaded.data);
+      }
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('truncated or padded matrix files are rejected instead of read short', () => {
+  for (const dtype of DTYPES) {
+    const buf = serializeMatrix(createMatrix(encodeMatrix(values, n, dim, dtype)), { signature: 'x' });
+    for (const bad of [buf.subarray(0, buf.length - 4), buf.subarray(0, 20), Buffer.concat([buf, Buffer.alloc(8)])]) {
+      assert.throws(() => parseMatrix(bad, {}), /bytes|truncated|JSON/, `${dtype} file of ${bad.length} bytes`);
+    }
+  }
+});
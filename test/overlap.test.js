@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { jaccard, listOverlap, rankCorrelation } from '../lib/overlap.js';
+
+test('jaccard and rank correlation of top-k lists', () => {
+  assert.equal(jaccard([1, 2, 3], [2, 3, 4]), 0.5);
+  assert.equal(jaccard([], []), null);
+  assert.equal(rankCorrelation([1, 2, 3], [10, 20, 30]), 1);
+  assert.equal(rankCorrelation([1, 2, 3], [3, 2, 1]), -1);
+  assert.equal(rankCorrelation([1], [1]), null);
+  assert.equal(rankCorrelation([1, 1], [1, 2]), null);
+});
+
+test('listOverlap ranks the union of both lists on each side', () => {
+  const ranksA = new Map([[1, 1], [2, 2], [3, 3], [4, 9]]);
+  const ranksB = new Map([[1, 3], [2, 2], [3, 7], [4, 1]]);
+  const overlap = listOverlap([1, 2, 3], [4, 2, 1], id => ranksA.get(id), id => ranksB.get(id));
+  assert.deepEqual(overlap, {
+    jaccard: 0.5,
+    rankCorrelation: rankCorrelation([1, 2, 3, 9], [3, 2, 7, 1]),
+    shared: 2,
+    onlyA: [3],
+    onlyB: [4]
+  });
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatrix, encodeMatrix } from '../lib/matrix.js';
+import { fitBasis, projectPoints } from '../lib/projection.js';
+import { mulberry32 } from '../lib/random.js';
+
+const points = (n, dim = 8) => Array.from({ length: n }, (_, i) => Array.from({ length: dim }, (_, j) => Math.sin(i * 3 + j)));
+
+test('one and two points get 3D coordinates with every method', () => {
+  for (const n of [1, 2]) {
+    for (const method of ['pca', 'umap', 'tsne', 'relation']) {
+      const result = projectPoints(points(n), { method, relation: points(1)[0] });
+      assert.equal(result.coords.length, n, `${method}, ${n} points`);
+      for (const c of result.coords) {
+        assert.equal(c.length, 3);
+        assert.ok(c.every(Number.isFinite), `${method}, ${n} points: ${c}`);
+      }
+    }
+  }
+});
+
+test('umap and t-SNE fall back to PCA below four points', () => {
+  const result = projectPoints(points(2), { method: 'umap' });
+  assert.equal(result.method, 'pca');
+  assert.equal(result.requested, 'umap');
+  assert.match(result.diagnostics.fallback, /at least 4 points/);
+  assert.notDeepEqual(result.coords[0], result.coords[1]);
+});
+
+test('no points give an empty layout', () => {
+  assert.deepEqual(projectPoints([]).coords, []);
+});
+
+test('fitBasis finds the spread-out axes, and a basis keeps coordinates stable', () => {
+  // 400 rows along axes 2, 0 and 1 with spreads 10, 4 and 1, plus small noise
+  const n = 400;
+  const dim = 6;
+  const random = mulberry32(7);
+  const values = new Float32Array(n * dim);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < dim; j++) values[i * dim + j] = (random() - 0.5) * 0.1;
+    values[i * dim + 2] += (random() - 0.5) * 10;
+    values[i * dim] += (random() - 0.5) * 4;
+    values[i * dim + 1] += (random() - 0.5) * 1;
+  }
+  const store = createMatrix(encodeMatrix(values, n, dim));
+  const basis = fitBasis(store, { sample: 300 });
+  assert.equal(basis.sampleSize, 300);
+  basis.components.forEach((axis, c) => {
+    const peak = axis.map(Math.abs).indexOf(Math.max(...axis.map(Math.abs)));
+    assert.equal(peak, [2, 0, 1][c], `component ${c}`);
+    assert.ok(axis[peak] > 0.99, `component ${c} is signed and nearly axis aligned`);
+  });
+  const [first, second, third] = basis.explainedVariance;
+  assert.ok(first > second && second > third && first + second + third > 0.99);
+  assert.deepEqual(fitBasis(store, { sample: 300 }), basis);
+
+  // the same point lands on the same coordinates whatever else is projected
+  const row = store.row(5);
+  const alone = projectPoints([row, store.row(6)], { basis }).coords[0];
+  const crowded = projectPoints([...Array.from({ length: 20 }, (_, i) => store.row(i + 10)), row], { basis }).coords[20];
+  assert.deepEqual(crowded, alone);
+});
@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTable, resultTable } from '../lib/table.js';
+
+test('formatTable quotes CSV cells and flattens TSV cells', () => {
+  const table = { rows: [{ word: 'a,b', pos: ['Noun', 'Verb'] }, { word: 'say "hi"\tthere', pos: [] }], columns: ['word', 'pos'] };
+  assert.equal(formatTable(table, 'csv'), 'word,pos\n"a,b",Noun Verb\n"say ""hi""\tthere",\n');
+  assert.equal(formatTable(table, 'tsv'), 'word\tpos\na,b\tNoun Verb\nsay "hi" there\t\n');
+});
+
+test('resultTable adds round trip columns only when neighbors have them', () => {
+  const plain = resultTable('search', { neighbors: [{ word: 'x', score: 0.5, pos: [] }] });
+  assert.deepEqual(plain.columns, ['rank', 'word', 'score', 'pos']);
+  const trips = resultTable('search', { neighbors: [{ word: 'x', score: 0.5, pos: [], roundTrip: { rank: 2, landsOn: 'y' } }] });
+  assert.deepEqual(trips.rows[0], { rank: 1, word: 'x', score: 0.5, pos: [], roundTripRank: 2, roundTripLandsOn: 'y' });
+  assert.throws(() => resultTable('nope', {}), /no table view/);
+});
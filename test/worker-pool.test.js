@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { PoolBusyError, PoolTimeoutError, WorkerPool } from '../lib/worker-pool.js';
+import { createMatrix, encodeMatrix, shareMatrix } from '../lib/matrix.js';
+import { scanAnalogy } from '../lib/analogy.js';
+import { normalizeVec } from '../lib/vectors.js';
+
+const WORKER = fileURLToPath(new URL('../lib/worker.js', import.meta.url));
+
+const n = 500;
+const dim = 16;
+const values = Float32Array.from({ length: n * dim }, (_, i) => Math.sin(i * 0.37));
+const query = normalizeVec(Float32Array.from({ length: dim }, (_, j) => Math.cos(j)));
+
+test('a scan on a worker matches the in-process scan over the same shared rows', async () => {
+  const pool = new WorkerPool(WORKER, { size: 2 });
+  try {
+    for (const dtype of ['float32', 'int8']) {
+      const store = shareMatrix(createMatrix(encodeMatrix(values, n, dim, dtype)));
+      const { data, scales } = store;
+      const request = { vectors: { translated: query }, k: 5, rankOf: [7] };
+      const remote = await pool.run('scan', { matrix: { dtype, n, dim, data, scales }, ...request });
+      assert.deepEqual(remote, scanAnalogy(store, request), dtype);
+    }
+    await assert.rejects(pool.run('nope', {}), /unknown task "nope"/);
+    assert.equal(pool.stats().completed, 2);
+    assert.equal(pool.stats().failed, 1);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('a full queue rejects, and a timed-out task restarts its worker', async () => {
+  const pool = new WorkerPool(WORKER, { size: 1, maxQueue: 1 });
+  const store = shareMatrix(createMatrix(encodeMatrix(values, n, dim)));
+  const payload = { matrix: { dtype: 'float32', n, dim, data: store.data, scales: null }, vectors: { translated: query }, k: 1 };
+  try {
+    // a fresh worker can not answer within 1 ms
+    const expired = pool.run('scan', payload, { timeout: 1 });
+    const queued = pool.run('scan', payload);
+    await assert.rejects(pool.run('scan', payload), PoolBusyError);
+    await assert.rejects(expired, PoolTimeoutError);
+    assert.equal((await queued).top.length, 1);
+    assert.deepEqual(
+      [pool.stats().timedOut, pool.stats().restarted, pool.stats().rejected, pool.stats().completed],
+      [1, 1, 1, 1]
+    );
+  } finally {
+    await pool.close();
+  }
+});